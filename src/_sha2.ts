@@ -91,12 +91,15 @@ export abstract class SHA2<T extends SHA2<T>> extends Hash<T> {
     this.process(view, 0);
     const oview = createView(out);
     const len = this.outputLen;
-    // NOTE: we do division by 4 later, which should be fused in single op with modulo by JIT
-    if (len % 4) throw new Error('_sha2: outputLen should be aligned to 32bit');
-    const outLen = len / 4;
+    const outLen = len >>> 2;
     const state = this.get();
-    if (outLen > state.length) throw new Error('_sha2: outputLen bigger than state');
+    if (Math.ceil(len / 4) > state.length) throw new Error('_sha2: outputLen bigger than state');
     for (let i = 0; i < outLen; i++) oview.setUint32(4 * i, state[i], isLE);
+    // Output truncated to bytes, not words (SHA-512/t): last word is written partially
+    for (let i = 4 * outLen; i < len; i++) {
+      const shift = 8 * (isLE ? i % 4 : 3 - (i % 4));
+      out[i] = state[outLen] >>> shift;
+    }
   }
   digest() {
     const { buffer, outputLen } = this;
@@ -0,0 +1,108 @@
+import { hash as assertHash, number as assertNumber } from './_assert.js';
+import { kmac128, kmac256 } from './sha3-addons.js';
+import { CHash, Input, concatBytes, toBytes } from './utils.js';
+
+// One-step KDFs for shared secrets of key agreement (ECDH, DH):
+// - Concat KDF from NIST SP 800-56C Rev. 2 section 4.1, hash and KMAC variants.
+//   Used in OpenPGP ECDH (RFC 6637), JOSE (RFC 7518) and CMS.
+// - ANSI X9.63 KDF (SEC 1 section 3.6.1), used in ECIES and CMS (RFC 5753).
+// Counter is 32-bit big-endian, starting from 1.
+// https://nvlpubs.nist.gov/nistpubs/SpecialPublications/NIST.SP.800-56Cr2.pdf
+
+const MAX_BLOCKS = 2 ** 32 - 1;
+
+// Writes counter i into 4 bytes
+function setCounter(buf: Uint8Array, i: number) {
+  buf[0] = i >>> 24;
+  buf[1] = i >>> 16;
+  buf[2] = i >>> 8;
+  buf[3] = i;
+}
+
+// Hash(prefix || counter || suffix) for counter = 1, 2, ..., truncated to `length` bytes.
+// Prefix is hashed once, then cloned for every counter value
+function counterKdf(
+  name: string,
+  hash: CHash,
+  prefix: Uint8Array,
+  suffix: Uint8Array,
+  length: number
+): Uint8Array {
+  assertHash(hash);
+  assertNumber(length);
+  const { outputLen } = hash;
+  const blocks = Math.ceil(length / outputLen);
+  if (blocks > MAX_BLOCKS) throw new Error(`${name}: length should be <= (2**32-1)*HashLen`);
+  const res = new Uint8Array(blocks * outputLen);
+  const counter = new Uint8Array(4);
+  const base = hash.create().update(prefix);
+  let tmp: typeof base | undefined;
+  for (let i = 1, pos = 0; i <= blocks; i++, pos += outputLen) {
+    setCounter(counter, i);
+    tmp = base._cloneInto(tmp);
+    // Exact block: XOFs and sponges would fill the whole rest of output otherwise
+    tmp
+      .update(counter)
+      .update(suffix)
+      .digestInto(res.subarray(pos, pos + outputLen));
+  }
+  base.destroy();
+  return res.slice(0, length);
+}
+
+/**
+ * Concat KDF (SP 800-56C section 4.1, option 1): `Hash([1]_32 || Z || OtherInfo) || Hash([2]_32 || Z || OtherInfo) || ...`.
+ * @param hash - hash function, e.g. sha256
+ * @param z - shared secret
+ * @param otherInfo - fixed info: algorithm ID, party infos and so on
+ * @param length - output length in bytes
+ * @example
+ * const kek = concatKdf(sha256, sharedSecret, otherInfo, 32);
+ */
+export function concatKdf(hash: CHash, z: Input, otherInfo: Input, length: number): Uint8Array {
+  // Counter comes first: there is no common prefix to hash once
+  const suffix = concatBytes(toBytes(z), toBytes(otherInfo));
+  return counterKdf('Concat KDF', hash, new Uint8Array(), suffix, length);
+}
+
+/**
+ * ANSI X9.63 KDF: `Hash(Z || [1]_32 || SharedInfo) || Hash(Z || [2]_32 || SharedInfo) || ...`.
+ * @param hash - hash function, e.g. sha256
+ * @param z - shared secret
+ * @param sharedInfo - shared info, can be empty
+ * @param length - output length in bytes
+ * @example
+ * const key = x963Kdf(sha256, sharedSecret, sharedInfo, 32);
+ */
+export const x963Kdf = (hash: CHash, z: Input, sharedInfo: Input, length: number) =>
+  counterKdf('X9.63 KDF', hash, toBytes(z), toBytes(sharedInfo), length);
+
+/**
+ * Concat KDF with KMAC (SP 800-56C section 4.1, option 3):
+ * `KMAC#(salt, [1]_32 || Z || OtherInfo, L, "KDF")`. Whole output is produced by single KMAC call.
+ * @param kmac - kmac128 or kmac256
+ * @param z - shared secret
+ * @param otherInfo - fixed info: algorithm ID, party infos and so on
+ * @param length - output length in bytes
+ * @param salt - KMAC key, default: zero bytes (164 for kmac128, 132 for kmac256)
+ * @example
+ * const key = concatKdfKmac(kmac256, sharedSecret, otherInfo, 32);
+ */
+export function concatKdfKmac(
+  kmac: typeof kmac128,
+  z: Input,
+  otherInfo: Input,
+  length: number,
+  salt?: Input
+): Uint8Array {
+  if (kmac !== kmac128 && kmac !== kmac256) throw new Error('kmac should be kmac128 or kmac256');
+  assertNumber(length);
+  // Default salt is all-zero string of KMAC block length minus 4 bytes
+  const key = salt === undefined ? new Uint8Array(kmac === kmac128 ? 164 : 132) : toBytes(salt);
+  return kmac
+    .create(key, { dkLen: length, personalization: 'KDF' })
+    .update(new Uint8Array([0, 0, 0, 1]))
+    .update(toBytes(z))
+    .update(toBytes(otherInfo))
+    .digest();
+}
@@ -0,0 +1,87 @@
+import { exists, output } from './_assert.js';
+import { Hash, createView, Input, toBytes, wrapConstructor } from './utils.js';
+
+// CRC-24 checksum of OpenPGP ASCII armor (RFC 4880 section 6.1, RFC 9580 section 6.1.1).
+// Not a cryptographic hash: only detects accidental changes of data.
+
+const CRC24_INIT = 0xb704ce;
+const CRC24_POLY = 0x864cfb; // 0x1864cfb without implicit top bit
+const CRC24_MASK = 0xffffff;
+
+// Slicing-by-4 tables: T[k][b] is CRC of byte b followed by k zero bytes.
+// Allows to process 4 bytes of input per step instead of 1.
+const CRC24_T = /* @__PURE__ */ (() => {
+  const T = [0, 1, 2, 3].map(() => new Uint32Array(256));
+  for (let b = 0; b < 256; b++) {
+    let crc = b << 16;
+    for (let j = 0; j < 8; j++) crc = crc & 0x800000 ? (crc << 1) ^ CRC24_POLY : crc << 1;
+    T[0][b] = crc & CRC24_MASK;
+  }
+  for (let k = 1; k < 4; k++) {
+    for (let b = 0; b < 256; b++) {
+      const prev = T[k - 1][b];
+      T[k][b] = ((prev << 8) ^ T[0][prev >>> 16]) & CRC24_MASK;
+    }
+  }
+  return T;
+})();
+
+class CRC24 extends Hash<CRC24> {
+  readonly blockLen = 4;
+  readonly outputLen = 3;
+  private crc = CRC24_INIT;
+  private finished = false;
+  private destroyed = false;
+
+  update(data: Input): this {
+    exists(this);
+    data = toBytes(data);
+    const [T0, T1, T2, T3] = CRC24_T;
+    const len = data.length;
+    let crc = this.crc;
+    let pos = 0;
+    if (len >= 4) {
+      const view = createView(data);
+      for (; pos + 4 <= len; pos += 4) {
+        // Current CRC is xored into first three bytes of next word
+        const x = view.getUint32(pos, false) ^ (crc << 8);
+        crc = T3[x >>> 24] ^ T2[(x >>> 16) & 0xff] ^ T1[(x >>> 8) & 0xff] ^ T0[x & 0xff];
+      }
+    }
+    for (; pos < len; pos++) crc = ((crc << 8) ^ T0[(crc >>> 16) ^ data[pos]]) & CRC24_MASK;
+    this.crc = crc;
+    return this;
+  }
+  digestInto(out: Uint8Array) {
+    exists(this);
+    output(out, this);
+    this.finished = true;
+    const { crc } = this;
+    out[0] = crc >>> 16;
+    out[1] = (crc >>> 8) & 0xff;
+    out[2] = crc & 0xff;
+  }
+  digest() {
+    const res = new Uint8Array(this.outputLen);
+    this.digestInto(res);
+    this.destroy();
+    return res;
+  }
+  destroy() {
+    this.destroyed = true;
+    this.crc = 0;
+  }
+  _cloneInto(to?: CRC24): CRC24 {
+    to ||= new CRC24();
+    to.crc = this.crc;
+    to.finished = this.finished;
+    to.destroyed = this.destroyed;
+    return to;
+  }
+}
+
+/**
+ * CRC-24 of OpenPGP ASCII armor. Returns 3 bytes, big-endian.
+ * @example crc24('123456789') // Uint8Array([0x21, 0xcf, 0x02])
+ */
+export const crc24 = /* @__PURE__ */ wrapConstructor(() => new CRC24());
@@ -0,0 +1,237 @@
+import { exists, hash as assertHash, number as assertNumber } from './_assert.js';
+import { hmac } from './hmac.js';
+import { CHash, Input, checkOpts, concatBytes, toBytes } from './utils.js';
+
+// Deterministic random bit generators from NIST SP 800-90A Rev. 1: HMAC_DRBG and Hash_DRBG.
+// Output is fully determined by entropy input, nonce and personalization string. Entropy should
+// come from secure source, e.g. randomBytes, unless reproducible output is the point (tests, RFC 6979).
+// https://nvlpubs.nist.gov/nistpubs/SpecialPublications/NIST.SP.800-90Ar1.pdf
+
+export type DRBGOpts = {
+  nonce?: Input; // default: empty
+  personalization?: Input; // default: empty
+  reseedInterval?: number; // max number of generate calls before reseed is required, default: 2**48
+};
+
+// Limits from SP 800-90A table 2, same for both generators
+const MAX_RESEED_INTERVAL = 2 ** 48;
+const MAX_REQUEST_BYTES = 2 ** 16; // 2**19 bits
+
+const EMPTY = /* @__PURE__ */ new Uint8Array();
+const byte = (b: number) => new Uint8Array([b]);
+const optBytes = (data?: Input) => (data === undefined ? EMPTY : toBytes(data));
+
+function drbgOpts(hash: CHash, opts: DRBGOpts | undefined) {
+  assertHash(hash);
+  const { nonce, personalization, reseedInterval } = checkOpts(
+    { reseedInterval: MAX_RESEED_INTERVAL },
+    opts
+  );
+  assertNumber(reseedInterval);
+  if (reseedInterval < 1 || reseedInterval > MAX_RESEED_INTERVAL)
+    throw new Error(`reseedInterval should be in range 1..2**48, not ${reseedInterval}`);
+  return { nonce: optBytes(nonce), personalization: optBytes(personalization), reseedInterval };
+}
+
+function checkGenerate(name: string, len: number, counter: number, interval: number) {
+  assertNumber(len);
+  if (len > MAX_REQUEST_BYTES) throw new Error(`${name}: requested too many bytes: ${len}`);
+  if (counter > interval) throw new Error(`${name}: reseed required`);
+}
+
+/**
+ * HMAC_DRBG (SP 800-90A section 10.1.2). State is key K and value V, both of hash output length.
+ */
+export class HmacDRBG {
+  readonly hash: CHash;
+  private readonly K: Uint8Array;
+  private readonly V: Uint8Array;
+  private reseedCounter = 1;
+  private reseedInterval: number;
+  protected destroyed = false;
+
+  constructor(hash: CHash, entropy: Input, opts?: DRBGOpts) {
+    const { nonce, personalization, reseedInterval } = drbgOpts(hash, opts);
+    this.hash = hash;
+    this.reseedInterval = reseedInterval;
+    this.K = new Uint8Array(hash.outputLen);
+    this.V = new Uint8Array(hash.outputLen).fill(0x01);
+    const seed = concatBytes(toBytes(entropy), nonce, personalization);
+    this.update(seed);
+    seed.fill(0);
+  }
+  // out = HMAC_K(data), written in place: K and V are never re-allocated, so previous
+  // values don't stay in memory and destroy() clears the only copy
+  private hmacInto(out: Uint8Array, ...data: Uint8Array[]) {
+    const h = hmac.create(this.hash, this.K);
+    for (const d of data) h.update(d);
+    h.digestInto(out);
+  }
+  // HMAC_DRBG_Update: second round is skipped if there is no provided data
+  private update(data: Uint8Array) {
+    this.hmacInto(this.K, this.V, byte(0x00), data);
+    this.hmacInto(this.V, this.V);
+    if (!data.length) return;
+    this.hmacInto(this.K, this.V, byte(0x01), data);
+    this.hmacInto(this.V, this.V);
+  }
+  /**
+   * Mixes new entropy and optional additional input into state, resets reseed counter.
+   */
+  reseed(entropy: Input, additional?: Input): void {
+    exists(this, false);
+    const seed = concatBytes(toBytes(entropy), optBytes(additional));
+    this.update(seed);
+    seed.fill(0);
+    this.reseedCounter = 1;
+  }
+  /**
+   * Returns `len` pseudorandom bytes. Throws if reseed is required.
+   * @param len - number of bytes, up to 65536
+   * @param additional - optional additional input
+   */
+  generate(len: number, additional?: Input): Uint8Array {
+    exists(this, false);
+    checkGenerate('HMAC_DRBG', len, this.reseedCounter, this.reseedInterval);
+    const add = optBytes(additional);
+    if (add.length) this.update(add);
+    const res = new Uint8Array(len);
+    for (let pos = 0; pos < len; pos += this.V.length) {
+      this.hmacInto(this.V, this.V);
+      res.set(this.V.subarray(0, len - pos), pos);
+    }
+    this.update(add);
+    this.reseedCounter++;
+    return res;
+  }
+  destroy(): void {
+    this.destroyed = true;
+    this.K.fill(0);
+    this.V.fill(0);
+  }
+}
+
+// Big-endian byte arrays: a = (a + b) mod 2**(8 * a.length), b can be shorter than a
+function addInto(a: Uint8Array, b: Uint8Array) {
+  let carry = 0;
+  for (let i = a.length - 1, j = b.length - 1; i >= 0; i--, j--) {
+    const sum = a[i] + (j >= 0 ? b[j] : 0) + carry;
+    a[i] = sum & 0xff;
+    carry = sum >>> 8;
+  }
+}
+// a = (a + n) mod 2**(8 * a.length), for safe integer n
+function addNumber(a: Uint8Array, n: number) {
+  for (let i = a.length - 1; i >= 0 && n > 0; i--) {
+    n += a[i];
+    a[i] = n % 256;
+    n = Math.floor(n / 256);
+  }
+}
+
+/**
+ * Hash_DRBG (SP 800-90A section 10.1.1). State is value V and constant C, both seedlen long:
+ * 55 bytes for hashes with output up to 256 bits, 111 bytes for SHA-384 and SHA-512.
+ */
+export class HashDRBG {
+  readonly hash: CHash;
+  readonly seedLen: number;
+  private V: Uint8Array;
+  private C: Uint8Array;
+  private reseedCounter = 1;
+  private reseedInterval: number;
+  protected destroyed = false;
+
+  constructor(hash: CHash, entropy: Input, opts?: DRBGOpts) {
+    const { nonce, personalization, reseedInterval } = drbgOpts(hash, opts);
+    this.hash = hash;
+    this.reseedInterval = reseedInterval;
+    this.seedLen = hash.outputLen <= 32 ? 55 : 111;
+    this.V = this.hashDf(concatBytes(toBytes(entropy), nonce, personalization));
+    this.C = this.hashDf(concatBytes(byte(0x00), this.V));
+  }
+  private h(...data: Uint8Array[]) {
+    const h = this.hash.create();
+    for (const d of data) h.update(d);
+    return h.digest() as Uint8Array;
+  }
+  // Hash_df (section 10.3.1): hash(counter || bit length || input) for counter = 1, 2, ..., truncated to seedlen
+  private hashDf(input: Uint8Array) {
+    const { seedLen } = this;
+    const res = new Uint8Array(seedLen);
+    const bits = seedLen * 8;
+    const prefix = new Uint8Array([0, bits >>> 24, bits >>> 16, bits >>> 8, bits]);
+    for (let pos = 0; pos < seedLen; pos += this.hash.outputLen) {
+      prefix[0]++;
+      res.set(this.h(prefix, input).subarray(0, seedLen - pos), pos);
+    }
+    return res;
+  }
+  /**
+   * Mixes new entropy and optional additional input into state, resets reseed counter.
+   */
+  reseed(entropy: Input, additional?: Input): void {
+    exists(this, false);
+    const V = this.hashDf(concatBytes(byte(0x01), this.V, toBytes(entropy), optBytes(additional)));
+    this.V.fill(0);
+    this.C.fill(0);
+    this.V = V;
+    this.C = this.hashDf(concatBytes(byte(0x00), V));
+    this.reseedCounter = 1;
+  }
+  /**
+   * Returns `len` pseudorandom bytes. Throws if reseed is required.
+   * @param len - number of bytes, up to 65536
+   * @param additional - optional additional input
+   */
+  generate(len: number, additional?: Input): Uint8Array {
+    exists(this, false);
+    checkGenerate('Hash_DRBG', len, this.reseedCounter, this.reseedInterval);
+    const { V } = this;
+    const add = optBytes(additional);
+    if (add.length) addInto(V, this.h(byte(0x02), V, add));
+    // Hashgen: hash(V) || hash(V + 1) || ...
+    const res = new Uint8Array(len);
+    const data = V.slice();
+    for (let pos = 0; pos < len; pos += this.hash.outputLen) {
+      res.set(this.h(data).subarray(0, len - pos), pos);
+      addNumber(data, 1);
+    }
+    data.fill(0);
+    // V = V + hash(0x03 || V) + C + reseed_counter
+    addInto(V, this.h(byte(0x03), V));
+    addInto(V, this.C);
+    addNumber(V, this.reseedCounter);
+    this.reseedCounter++;
+    return res;
+  }
+  destroy(): void {
+    this.destroyed = true;
+    this.V.fill(0);
+    this.C.fill(0);
+  }
+}
+
+/**
+ * HMAC_DRBG from NIST SP 800-90A.
+ * @param hash - hash function, e.g. sha256
+ * @param entropy - entropy input
+ * @param opts - nonce, personalization string and reseed interval
+ * @example
+ * const drbg = hmacDrbg(sha256, randomBytes(32), { nonce: randomBytes(16) });
+ * const a = drbg.generate(32);
+ * drbg.reseed(randomBytes(32), 'additional input');
+ */
+export const hmacDrbg = (hash: CHash, entropy: Input, opts?: DRBGOpts) =>
+  new HmacDRBG(hash, entropy, opts);
+/**
+ * Hash_DRBG from NIST SP 800-90A.
+ * @param hash - hash function, e.g. sha256
+ * @param entropy - entropy input
+ * @param opts - nonce, personalization string and reseed interval
+ * @example
+ * const drbg = hashDrbg(sha512, randomBytes(32), { nonce: randomBytes(16) });
+ * const a = drbg.generate(64, 'additional input');
+ */
+export const hashDrbg = (hash: CHash, entropy: Input, opts?: DRBGOpts) =>
+  new HashDRBG(hash, entropy, opts);
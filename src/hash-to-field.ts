@@ -0,0 +1,154 @@
+import { hash as assertHash, number as assertNumber } from './_assert.js';
+import { BigInteger } from './biginteger/index.js';
+import { shake256 } from './sha3.js';
+import { CHash, Input, checkOpts, concatBytes, toBytes, utf8ToBytes } from './utils.js';
+
+// Hashing to finite field (RFC 9380 section 5): first step of hash-to-curve for BLS signatures,
+// OPRFs and so on. Curve arithmetic and mapping to points is up to the caller.
+// https://www.rfc-editor.org/rfc/rfc9380
+
+// XOF constructor with configurable output length, e.g. shake128 or shake256
+export type XOFHash = typeof shake256;
+
+// DST longer than 255 bytes is replaced with its hash (section 5.3.3)
+const OVERSIZE_DST = /* @__PURE__ */ utf8ToBytes('H2C-OVERSIZE-DST-');
+
+// Big-endian encoding of small number, I2OSP from RFC 8017
+function i2osp(value: number, length: number): Uint8Array {
+  if (value < 0 || value >= 2 ** (8 * length))
+    throw new Error(`i2osp: value=${value} doesn't fit into ${length} bytes`);
+  const res = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--, value = Math.floor(value / 256)) res[i] = value % 256;
+  return res;
+}
+
+// DST should be at least one byte long (section 3.1)
+function dstBytes(name: string, DST: Input): Uint8Array {
+  const dst = toBytes(DST);
+  if (!dst.length) throw new Error(`${name}: DST should not be empty`);
+  return dst;
+}
+
+/**
+ * expand_message_xmd (RFC 9380 section 5.3.1): expands message to `lenInBytes` pseudorandom bytes
+ * with Merkle-Damgard hash function.
+ * @param msg - message
+ * @param DST - domain separation tag, hashed if longer than 255 bytes
+ * @param lenInBytes - output length, up to 255 hash outputs and 65535 bytes
+ * @param hash - hash function, e.g. sha256
+ * @example
+ * const prb = expand_message_xmd('msg', 'QUUX-V01-CS02-with-expander-SHA256-128', 32, sha256);
+ */
+export function expand_message_xmd(
+  msg: Input,
+  DST: Input,
+  lenInBytes: number,
+  hash: CHash
+): Uint8Array {
+  assertHash(hash);
+  assertNumber(lenInBytes);
+  let dst = dstBytes('expand_message_xmd', DST);
+  if (dst.length > 255) dst = hash(concatBytes(OVERSIZE_DST, dst));
+  const { outputLen, blockLen } = hash;
+  const ell = Math.ceil(lenInBytes / outputLen);
+  if (lenInBytes > 65535 || ell > 255) throw new Error('expand_message_xmd: lenInBytes is too big');
+  const dstPrime = concatBytes(dst, i2osp(dst.length, 1));
+  // b_0 = H(Z_pad || msg || l_i_b_str || I2OSP(0, 1) || DST_prime)
+  const b0 = hash
+    .create()
+    .update(new Uint8Array(blockLen))
+    .update(toBytes(msg))
+    .update(i2osp(lenInBytes, 2))
+    .update(i2osp(0, 1))
+    .update(dstPrime)
+    .digest();
+  // b_i = H(strxor(b_0, b_(i - 1)) || I2OSP(i, 1) || DST_prime), b_1 = H(b_0 || I2OSP(1, 1) || DST_prime)
+  const res = new Uint8Array(ell * outputLen);
+  const tmp = new Uint8Array(outputLen);
+  for (let i = 1, pos = 0; i <= ell; i++, pos += outputLen) {
+    for (let j = 0; j < outputLen; j++) tmp[j] = b0[j] ^ (i > 1 ? res[pos - outputLen + j] : 0);
+    res.set(hash.create().update(tmp).update(i2osp(i, 1)).update(dstPrime).digest(), pos);
+  }
+  return res.slice(0, lenInBytes);
+}
+
+/**
+ * expand_message_xof (RFC 9380 section 5.3.2): expands message to `lenInBytes` pseudorandom bytes
+ * with extendable-output function.
+ * @param msg - message
+ * @param DST - domain separation tag, hashed if longer than 255 bytes
+ * @param lenInBytes - output length, up to 65535 bytes
+ * @param k - target security level in bits, used only to hash over-long DST
+ * @param hash - XOF, e.g. shake128 or shake256
+ * @example
+ * const prb = expand_message_xof('msg', 'QUUX-V01-CS02-with-expander-SHAKE128', 32, 128, shake128);
+ */
+export function expand_message_xof(
+  msg: Input,
+  DST: Input,
+  lenInBytes: number,
+  k: number,
+  hash: XOFHash
+): Uint8Array {
+  assertHash(hash);
+  assertNumber(lenInBytes);
+  assertNumber(k);
+  let dst = dstBytes('expand_message_xof', DST);
+  if (dst.length > 255) {
+    const dkLen = Math.ceil((2 * k) / 8);
+    dst = hash.create({ dkLen }).update(OVERSIZE_DST).update(dst).digest();
+  }
+  if (lenInBytes > 65535) throw new Error('expand_message_xof: lenInBytes is too big');
+  // H(msg || I2OSP(len_in_bytes, 2) || DST || I2OSP(len(DST), 1), len_in_bytes)
+  return hash
+    .create({ dkLen: lenInBytes })
+    .update(toBytes(msg))
+    .update(i2osp(lenInBytes, 2))
+    .update(dst)
+    .update(i2osp(dst.length, 1))
+    .digest();
+}
+
+export type HashToFieldOpts = {
+  DST: Input; // domain separation tag
+  p: BigInteger; // field characteristic
+  m: number; // extension degree of field, 1 for prime fields, 2 for BLS12-381 G2
+  k: number; // target security level in bits, e.g. 128
+  expand?: 'xmd' | 'xof'; // default: 'xmd'
+  hash: CHash | XOFHash; // e.g. sha256 for 'xmd', shake128 for 'xof'
+};
+
+/**
+ * hash_to_field (RFC 9380 section 5.2): hashes message to `count` elements of field
+ * GF(p^m). Each element is returned as array of m integers in range [0, p-1].
+ * @param msg - message
+ * @param count - number of field elements, 2 for random oracle encodings, 1 for non-uniform ones
+ * @param opts - DST, field parameters, expander and hash function
+ * @example
+ * const p = BigInteger.new('0xffffffff00000001000000000000000000000000ffffffffffffffffffffffff');
+ * const [[u0], [u1]] = hashToField('msg', 2, { DST: 'app-P256_XMD:SHA-256_SSWU_RO_', p, m: 1, k: 128, hash: sha256 });
+ */
+export function hashToField(msg: Input, count: number, opts: HashToFieldOpts): BigInteger[][] {
+  const { DST, p, m, k, expand, hash } = checkOpts({ expand: 'xmd' }, opts);
+  assertNumber(count);
+  assertNumber(m);
+  assertNumber(k);
+  if (count < 1) throw new Error('hashToField: count should be at least 1');
+  if (m < 1) throw new Error('hashToField: extension degree m should be at least 1');
+  if (k < 1) throw new Error('hashToField: security level k should be at least 1');
+  // Each element is reduced from L bytes: k extra bits make modulo bias negligible
+  const L = Math.ceil((p.bitLength() + k) / 8);
+  const lenInBytes = count * m * L;
+  let prb: Uint8Array;
+  if (expand === 'xmd') prb = expand_message_xmd(msg, DST, lenInBytes, hash as CHash);
+  else if (expand === 'xof') prb = expand_message_xof(msg, DST, lenInBytes, k, hash as XOFHash);
+  else throw new Error(`hashToField: expand should be 'xmd' or 'xof', not ${expand}`);
+  const res: BigInteger[][] = [];
+  for (let i = 0, pos = 0; i < count; i++) {
+    const e: BigInteger[] = [];
+    for (let j = 0; j < m; j++, pos += L)
+      e.push(BigInteger.new(prb.subarray(pos, pos + L)).imod(p));
+    res.push(e);
+  }
+  return res;
+}
@@ -0,0 +1,176 @@
+import { hash as assertHash, number as assertNumber } from './_assert.js';
+import { hmac } from './hmac.js';
+import { kmac128, kmac256 } from './sha3-addons.js';
+import { CHash, Input, checkOpts, concatBytes, toBytes } from './utils.js';
+
+// Key-based KDFs from NIST SP 800-108 Rev. 1: counter, feedback and double-pipeline modes with HMAC,
+// and KDF based on KMAC (section 4.4). Input key should already be uniformly random: use HKDF
+// or one-step KDF for shared secrets.
+// https://nvlpubs.nist.gov/nistpubs/SpecialPublications/NIST.SP.800-108r1-upd1.pdf
+
+// Position of counter [i]_2 in PRF input. Iteration variable is K(i-1) in feedback mode and A(i)
+// in double-pipeline mode, there is no iteration variable in counter mode.
+// - before: [i]_2 || iteration variable || fixed input
+// - afterIter: iteration variable || [i]_2 || fixed input
+// - middle: fixed input[0..counterOffset] || [i]_2 || fixed input[counterOffset..], counter mode only
+// - after: iteration variable || fixed input || [i]_2
+// - none: no counter, feedback and double-pipeline modes only
+export type CounterLocation = 'before' | 'afterIter' | 'middle' | 'after' | 'none';
+
+export type KBKDFOpts = {
+  label?: Input; // default: empty
+  context?: Input; // default: empty
+  // Fixed input data is Label || 0x00 || Context || [L]_2 by default, or exactly this value if set
+  fixedInput?: Input;
+  separator?: boolean; // 0x00 byte between label and context, default: true
+  lengthBits?: number; // width of [L]_2 (output length in bits): 8, 16, 24 or 32, 0 to omit, default: 32
+  counterBits?: number; // width r of counter [i]_2: 8, 16, 24 or 32, default: 32
+  counterLocation?: CounterLocation; // default: 'before' in counter mode, 'afterIter' in others
+  counterOffset?: number; // byte offset for 'middle' counter location
+};
+
+export type KBKDFFeedbackOpts = KBKDFOpts & {
+  iv?: Input; // K(0), default: empty
+};
+
+type Mode = 'counter' | 'feedback' | 'pipeline';
+const EMPTY = /* @__PURE__ */ new Uint8Array();
+const WIDTHS = [8, 16, 24, 32];
+
+// Big-endian integer of `bits` width
+function encode(n: number, bits: number): Uint8Array {
+  const res = new Uint8Array(bits / 8);
+  for (let i = res.length - 1; i >= 0; i--, n >>>= 8) res[i] = n & 0xff;
+  return res;
+}
+
+function kbkdf(
+  mode: Mode,
+  hash: CHash,
+  key: Input,
+  length: number,
+  opts: KBKDFFeedbackOpts | undefined
+): Uint8Array {
+  assertHash(hash);
+  assertNumber(length);
+  const { label, context, fixedInput, separator, lengthBits, counterBits, counterOffset, iv } =
+    checkOpts({ separator: true, lengthBits: 32, counterBits: 32, counterOffset: 0 }, opts);
+  const location = opts?.counterLocation || (mode === 'counter' ? 'before' : 'afterIter');
+  if (!WIDTHS.includes(counterBits)) throw new Error('counterBits should be 8, 16, 24 or 32');
+  if (lengthBits !== 0 && !WIDTHS.includes(lengthBits))
+    throw new Error('lengthBits should be 0, 8, 16, 24 or 32');
+  if (!['before', 'afterIter', 'middle', 'after', 'none'].includes(location))
+    throw new Error(`unknown counterLocation: ${location}`);
+  if (mode === 'counter' && (location === 'afterIter' || location === 'none'))
+    throw new Error(`counterLocation=${location} is not possible in counter mode`);
+  if (mode !== 'counter' && location === 'middle')
+    throw new Error('counterLocation=middle is only possible in counter mode');
+  const blocks = Math.ceil(length / hash.outputLen);
+  // n <= 2**r - 1 (and n <= 2**32 - 1 without counter): output length is limited anyway
+  const maxBlocks = location === 'none' ? 2 ** 32 - 1 : 2 ** counterBits - 1;
+  if (blocks > maxBlocks) throw new Error(`KBKDF: length should be <= ${maxBlocks}*HashLen`);
+  let fixed: Uint8Array;
+  if (fixedInput !== undefined) fixed = toBytes(fixedInput);
+  else {
+    const L = length * 8;
+    if (lengthBits && L >= 2 ** lengthBits)
+      throw new Error(`KBKDF: length in bits doesn't fit into ${lengthBits} bits`);
+    fixed = concatBytes(
+      label === undefined ? EMPTY : toBytes(label),
+      separator ? new Uint8Array(1) : EMPTY,
+      context === undefined ? EMPTY : toBytes(context),
+      lengthBits ? encode(L, lengthBits) : EMPTY
+    );
+  }
+  assertNumber(counterOffset);
+  if (counterOffset > fixed.length) throw new Error('counterOffset is outside of fixed input');
+  const beforeCounter = fixed.subarray(0, location === 'middle' ? counterOffset : 0);
+  const afterCounter = fixed.subarray(location === 'middle' ? counterOffset : 0);
+  // Re-use HMAC instance between blocks
+  const PRF = hmac.create(hash, toBytes(key));
+  let tmp: typeof PRF | undefined;
+  const prf = (...data: Uint8Array[]) => {
+    tmp = PRF._cloneInto(tmp);
+    for (const d of data) tmp.update(d);
+    return tmp.digest();
+  };
+  const res = new Uint8Array(blocks * hash.outputLen);
+  let K = iv === undefined ? EMPTY : toBytes(iv); // feedback: K(i-1), K(0) = IV
+  let A = fixed; // double-pipeline: A(i) = PRF(A(i-1)), A(0) = fixed input
+  for (let i = 1, pos = 0; i <= blocks; i++, pos += hash.outputLen) {
+    const ctr = location === 'none' ? EMPTY : encode(i, counterBits);
+    let iter = EMPTY;
+    if (mode === 'feedback') iter = K;
+    else if (mode === 'pipeline') iter = A = prf(A);
+    if (location === 'before') K = prf(ctr, iter, fixed);
+    else if (location === 'afterIter' || location === 'none') K = prf(iter, ctr, fixed);
+    else if (location === 'middle') K = prf(beforeCounter, ctr, afterCounter);
+    else K = prf(iter, fixed, ctr);
+    res.set(K, pos);
+  }
+  PRF.destroy();
+  if (tmp) tmp.destroy();
+  return res.slice(0, length);
+}
+
+/**
+ * KDF in counter mode (SP 800-108 section 4.1): `K(i) = PRF(K_IN, [i]_2 || Label || 0x00 || Context || [L]_2)`.
+ * @param hash - hash function for HMAC PRF, e.g. sha256
+ * @param key - input key K_IN
+ * @param length - output length in bytes
+ * @param opts - label, context and encoding of PRF input
+ * @example
+ * const key = kbkdfCounter(sha256, masterKey, 32, { label: 'enc', context: sessionId });
+ */
+export const kbkdfCounter = (hash: CHash, key: Input, length: number, opts?: KBKDFOpts) =>
+  kbkdf('counter', hash, key, length, opts);
+
+/**
+ * KDF in feedback mode (SP 800-108 section 4.2): `K(i) = PRF(K_IN, K(i-1) || [i]_2 || Label || 0x00 || Context || [L]_2)`,
+ * K(0) = IV.
+ * @param hash - hash function for HMAC PRF, e.g. sha256
+ * @param key - input key K_IN
+ * @param length - output length in bytes
+ * @param opts - IV, label, context and encoding of PRF input
+ * @example
+ * const key = kbkdfFeedback(sha256, masterKey, 32, { iv, label: 'enc', counterLocation: 'none' });
+ */
+export const kbkdfFeedback = (hash: CHash, key: Input, length: number, opts?: KBKDFFeedbackOpts) =>
+  kbkdf('feedback', hash, key, length, opts);
+
+/**
+ * KDF in double-pipeline mode (SP 800-108 section 4.3): `A(i) = PRF(K_IN, A(i-1))`, A(0) is fixed input,
+ * `K(i) = PRF(K_IN, A(i) || [i]_2 || Label || 0x00 || Context || [L]_2)`.
+ * @param hash - hash function for HMAC PRF, e.g. sha256
+ * @param key - input key K_IN
+ * @param length - output length in bytes
+ * @param opts - label, context and encoding of PRF input
+ * @example
+ * const key = kbkdfDoublePipeline(sha256, masterKey, 32, { label: 'enc', context: sessionId });
+ */
+export const kbkdfDoublePipeline = (hash: CHash, key: Input, length: number, opts?: KBKDFOpts) =>
+  kbkdf('pipeline', hash, key, length, opts);
+
+/**
+ * KDF with KMAC (SP 800-108r1 section 4.4): `K_OUT = KMAC#(K_IN, Context, L, Label)`.
+ * @param kmac - kmac128 or kmac256
+ * @param key - input key K_IN
+ * @param length - output length in bytes
+ * @param opts - label (KMAC customization string) and context (KMAC input)
+ * @example
+ * const key = kbkdfKmac(kmac256, masterKey, 32, { label: 'enc', context: sessionId });
+ */
+export function kbkdfKmac(
+  kmac: typeof kmac128,
+  key: Input,
+  length: number,
+  opts: { label?: Input; context?: Input } = {}
+): Uint8Array {
+  if (kmac !== kmac128 && kmac !== kmac256) throw new Error('kmac should be kmac128 or kmac256');
+  assertNumber(length);
+  const { label, context } = opts;
+  return kmac
+    .create(key, { dkLen: length, personalization: label })
+    .update(context === undefined ? EMPTY : toBytes(context))
+    .digest();
+}
@@ -0,0 +1,141 @@
+import { SHA2 } from './_sha2.js';
+import { wrapConstructor } from './utils.js';
+
+// WARNING: MD5 and MD4 are broken. Collisions for both can be computed in seconds,
+// and MD4 also has practical preimage attacks. Don't use them for new protocols,
+// signatures or anything security-related: they are only for interop with legacy formats
+// (PGP 2.x keys and v3 fingerprints, NTLM, file checksums).
+// Both hashes are not in the hash registry: they need to be registered explicitly.
+
+const rotl = (word: number, shift: number) => (word << shift) | (word >>> (32 - shift));
+// Same initial state for MD4 and MD5
+const IV = /* @__PURE__ */ new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+
+// Temporary buffer, not used to store anything between runs
+const BUF = /* @__PURE__ */ new Uint32Array(16);
+
+// MD4 (RFC 1320): 3 rounds of 16 steps. Message words and shifts of each round:
+const MD4_IDX = /* @__PURE__ */ [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [0, 4, 8, 12, 1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15],
+  [0, 8, 4, 12, 2, 10, 6, 14, 1, 9, 5, 13, 3, 11, 7, 15],
+].map((i) => new Uint8Array(i));
+const MD4_SHIFTS = /* @__PURE__ */ [
+  [3, 7, 11, 19],
+  [3, 5, 9, 13],
+  [3, 9, 11, 15],
+].map((i) => new Uint8Array(i));
+const MD4_K = /* @__PURE__ */ new Uint32Array([0x00000000, 0x5a827999, 0x6ed9eba1]);
+function md4f(round: number, x: number, y: number, z: number): number {
+  if (round === 0) return (x & y) | (~x & z);
+  else if (round === 1) return (x & y) | (x & z) | (y & z);
+  else return x ^ y ^ z;
+}
+
+// MD5 (RFC 1321): 4 rounds of 16 steps. K[i] = floor(abs(sin(i + 1)) * 2**32)
+// prettier-ignore
+const MD5_K = /* @__PURE__ */ new Uint32Array([
+  0xd76aa478, 0xe8c7b756, 0x242070db, 0xc1bdceee, 0xf57c0faf, 0x4787c62a, 0xa8304613, 0xfd469501,
+  0x698098d8, 0x8b44f7af, 0xffff5bb1, 0x895cd7be, 0x6b901122, 0xfd987193, 0xa679438e, 0x49b40821,
+  0xf61e2562, 0xc040b340, 0x265e5a51, 0xe9b6c7aa, 0xd62f105d, 0x02441453, 0xd8a1e681, 0xe7d3fbc8,
+  0x21e1cde6, 0xc33707d6, 0xf4d50d87, 0x455a14ed, 0xa9e3e905, 0xfcefa3f8, 0x676f02d9, 0x8d2a4c8a,
+  0xfffa3942, 0x8771f681, 0x6d9d6122, 0xfde5380c, 0xa4beea44, 0x4bdecfa9, 0xf6bb4b60, 0xbebfbc70,
+  0x289b7ec6, 0xeaa127fa, 0xd4ef3085, 0x04881d05, 0xd9d4d039, 0xe6db99e5, 0x1fa27cf8, 0xc4ac5665,
+  0xf4292244, 0x432aff97, 0xab9423a7, 0xfc93a039, 0x655b59c3, 0x8f0ccc92, 0xffeff47d, 0x85845dd1,
+  0x6fa87e4f, 0xfe2ce6e0, 0xa3014314, 0x4e0811a1, 0xf7537e82, 0xbd3af235, 0x2ad7d2bb, 0xeb86d391,
+]);
+const MD5_SHIFTS = /* @__PURE__ */ [
+  [7, 12, 17, 22],
+  [5, 9, 14, 20],
+  [4, 11, 16, 23],
+  [6, 10, 15, 21],
+].map((i) => new Uint8Array(i));
+// Message word of step i
+const md5g = (round: number, i: number) =>
+  round === 0 ? i : round === 1 ? (5 * i + 1) % 16 : round === 2 ? (3 * i + 5) % 16 : (7 * i) % 16;
+function md5f(round: number, x: number, y: number, z: number): number {
+  if (round === 0) return (x & y) | (~x & z);
+  else if (round === 1) return (x & z) | (y & ~z);
+  else if (round === 2) return x ^ y ^ z;
+  else return y ^ (x | ~z);
+}
+
+// MD4 and MD5 have same state and block structure, only compression function is different
+abstract class MD<T extends MD<T>> extends SHA2<T> {
+  protected A = IV[0] | 0;
+  protected B = IV[1] | 0;
+  protected C = IV[2] | 0;
+  protected D = IV[3] | 0;
+
+  constructor() {
+    super(64, 16, 8, true);
+  }
+  protected get(): [number, number, number, number] {
+    const { A, B, C, D } = this;
+    return [A, B, C, D];
+  }
+  protected set(A: number, B: number, C: number, D: number) {
+    this.A = A | 0;
+    this.B = B | 0;
+    this.C = C | 0;
+    this.D = D | 0;
+  }
+  protected roundClean() {
+    BUF.fill(0);
+  }
+  destroy() {
+    this.destroyed = true;
+    this.buffer.fill(0);
+    this.set(0, 0, 0, 0);
+  }
+}
+
+export class MD4 extends MD<MD4> {
+  protected process(view: DataView, offset: number): void {
+    for (let i = 0; i < 16; i++, offset += 4) BUF[i] = view.getUint32(offset, true);
+    let { A, B, C, D } = this;
+    for (let round = 0; round < 3; round++) {
+      const idx = MD4_IDX[round], s = MD4_SHIFTS[round], k = MD4_K[round]; // prettier-ignore
+      for (let i = 0; i < 16; i++) {
+        const T = rotl((A + md4f(round, B, C, D) + BUF[idx[i]] + k) | 0, s[i % 4]);
+        A = D, D = C, C = B, B = T; // prettier-ignore
+      }
+    }
+    this.set(this.A + A, this.B + B, this.C + C, this.D + D);
+  }
+}
+
+export class MD5 extends MD<MD5> {
+  protected process(view: DataView, offset: number): void {
+    for (let i = 0; i < 16; i++, offset += 4) BUF[i] = view.getUint32(offset, true);
+    let { A, B, C, D } = this;
+    for (let round = 0, j = 0; round < 4; round++) {
+      const s = MD5_SHIFTS[round];
+      for (let i = 0; i < 16; i++, j++) {
+        const F = (A + md5f(round, B, C, D) + MD5_K[j] + BUF[md5g(round, i)]) | 0;
+        A = D, D = C, C = B, B = (B + rotl(F, s[i % 4])) | 0; // prettier-ignore
+      }
+    }
+    this.set(this.A + A, this.B + B, this.C + C, this.D + D);
+  }
+}
+
+/**
+ * MD5 (RFC 1321). WARNING: broken, collisions are trivial to find.
+ * Only for compatibility with legacy formats.
+ * @param message - data that would be hashed
+ */
+export const md5 = /* @__PURE__ */ wrapConstructor(() => new MD5(), {
+  // 1.2.840.113549.2.5
+  oid: new Uint8Array([0x06, 0x08, 0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x02, 0x05]),
+  openpgpId: 1,
+});
+/**
+ * MD4 (RFC 1320). WARNING: broken, collisions and preimages are practical.
+ * Only for compatibility with legacy formats.
+ * @param message - data that would be hashed
+ */
+export const md4 = /* @__PURE__ */ wrapConstructor(() => new MD4(), {
+  // 1.2.840.113549.2.4
+  oid: new Uint8Array([0x06, 0x08, 0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x02, 0x04]),
+});
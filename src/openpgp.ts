@@ -0,0 +1,282 @@
+import {
+  bytes as assertBytes,
+  exists as assertExists,
+  hash as assertHash,
+  number as assertNumber,
+} from './_assert.js';
+import { sha1 } from './sha1.js';
+import { sha256 } from './sha256.js';
+import {
+  CHash,
+  Hash,
+  Input,
+  checkOpts,
+  concatBytes,
+  equalBytes,
+  toBytes,
+  utf8ToBytes,
+} from './utils.js';
+
+// OpenPGP helpers built on top of hash functions (RFC 9580).
+
+// Fingerprint hash and packet framing for each key version (RFC 9580 section 5.5.4).
+// v5 is from LibrePGP / RFC 4880bis drafts.
+const FINGERPRINT: Record<number, { hash: CHash; prefix: number; lenBytes: number }> = {
+  4: { hash: sha1, prefix: 0x99, lenBytes: 2 },
+  5: { hash: sha256, prefix: 0x9a, lenBytes: 4 },
+  6: { hash: sha256, prefix: 0x9b, lenBytes: 4 },
+};
+// Key ID is 8 bytes of fingerprint
+const KEY_ID_LEN = 8;
+// v6 signature salt size by hash algorithm ID (RFC 9580 section 9.5):
+// SHA2-256, SHA2-384, SHA2-512, SHA2-224, SHA3-256, SHA3-512
+const V6_SALT_LEN: Record<number, number> = { 8: 16, 9: 24, 10: 32, 11: 16, 12: 16, 14: 32 };
+
+/**
+ * Computes fingerprint and key ID of a public key.
+ * Fingerprint is a hash of the public key packet body framed like an old format packet:
+ * - v4: `sha1(0x99 || 2-byte length || body)`, key ID is low 64 bits
+ * - v5: `sha256(0x9A || 4-byte length || body)`, key ID is high 64 bits
+ * - v6: `sha256(0x9B || 4-byte length || body)`, key ID is high 64 bits
+ * @param body - public key packet body (without packet header), starts with version byte
+ * @param version - key version, defaults to first byte of body
+ * @example
+ * const { fingerprint, keyID } = keyFingerprint(publicKeyPacketBody);
+ */
+export function keyFingerprint(body: Uint8Array, version?: number) {
+  assertBytes(body);
+  if (version === undefined) version = body[0];
+  assertNumber(version);
+  const params = FINGERPRINT[version];
+  if (!params) throw new Error(`OpenPGP: unsupported key version=${version}`);
+  if (body[0] !== version)
+    throw new Error(`OpenPGP: key version=${version} doesn't match packet version=${body[0]}`);
+  const { hash, prefix, lenBytes } = params;
+  if (body.length >= 2 ** (8 * lenBytes)) throw new Error('OpenPGP: public key packet too big');
+  const header = new Uint8Array(1 + lenBytes);
+  header[0] = prefix;
+  for (let i = 0, len = body.length; i < lenBytes; i++, len = Math.floor(len / 256))
+    header[lenBytes - i] = len & 0xff;
+  const fingerprint = hash.create().update(header).update(body).digest();
+  const keyID =
+    version === 4
+      ? fingerprint.slice(fingerprint.length - KEY_ID_LEN)
+      : fingerprint.slice(0, KEY_ID_LEN);
+  return { fingerprint, keyID };
+}
+
+export type SignatureHashOpts = {
+  // v6 signature salt: hashed before data, so it must be known before data is hashed.
+  // Size depends on hash: 16 bytes for sha256, 24 for sha384, 32 for sha512
+  salt?: Uint8Array;
+};
+export type SignatureParams = {
+  version: number; // signature version: 4 or 6
+  hashedArea: Uint8Array; // hashed part of signature packet: from version octet to end of hashed subpackets
+  salt?: Uint8Array; // v6 only, should be same as salt used to create context
+};
+
+// Signature hashing context (RFC 9580 section 5.2.4): hash(salt || data || hashedArea || trailer).
+// Data is hashed once, then context is cloned for every signature, so same data
+// can be checked against several signatures.
+export class SignatureHash<T extends Hash<T>> {
+  iHash: T;
+  salt?: Uint8Array;
+  private destroyed = false;
+
+  constructor(hash: CHash, opts?: SignatureHashOpts) {
+    assertHash(hash);
+    const { salt } = checkOpts({}, opts) as SignatureHashOpts;
+    this.iHash = hash.create() as T;
+    if (salt !== undefined) {
+      assertBytes(salt);
+      const saltLen = hash.openpgpId === undefined ? undefined : V6_SALT_LEN[hash.openpgpId];
+      if (saltLen === undefined) throw new Error('OpenPGP: hash is not allowed in v6 signatures');
+      if (salt.length !== saltLen)
+        throw new Error(`OpenPGP: v6 signature salt should be ${saltLen} bytes for this hash`);
+      this.salt = salt.slice();
+      this.iHash.update(this.salt);
+    }
+  }
+  update(data: Input): this {
+    assertExists(this);
+    this.iHash.update(data);
+    return this;
+  }
+  /**
+   * Hashes signature packet fields and version-specific trailer over copy of data hash.
+   * Can be called several times: data hash is not modified.
+   * @returns digest and its left 16 bits, which are stored in signature packet for quick check
+   */
+  finalizeSignature(params: SignatureParams): { digest: Uint8Array; left16: Uint8Array } {
+    assertExists(this);
+    const { version, hashedArea, salt } = params;
+    assertNumber(version);
+    assertBytes(hashedArea);
+    if (version !== 4 && version !== 6)
+      throw new Error(`OpenPGP: unsupported signature version=${version}`);
+    if (hashedArea[0] !== version)
+      throw new Error(
+        `OpenPGP: signature version=${version} doesn't match packet version=${hashedArea[0]}`
+      );
+    if (version === 6) {
+      if (!this.salt) throw new Error('OpenPGP: v6 signature requires context created with salt');
+      if (salt !== undefined) assertBytes(salt);
+      if (salt === undefined || !equalBytes(salt, this.salt))
+        throw new Error('OpenPGP: signature salt differs from salt of context');
+    } else if (this.salt || salt !== undefined)
+      throw new Error(`OpenPGP: v${version} signature can't have salt`);
+    const len = hashedArea.length;
+    if (len >= 2 ** 32) throw new Error('OpenPGP: signature hashed area too big');
+    // Trailer: version || 0xFF || 4-byte big-endian length of hashed area
+    const trailer = new Uint8Array([version, 0xff, len >>> 24, len >>> 16, len >>> 8, len]);
+    const h = this.iHash._cloneInto();
+    const digest = h.update(hashedArea).update(trailer).digest();
+    return { digest, left16: digest.slice(0, 2) };
+  }
+  _cloneInto(to?: SignatureHash<T>): SignatureHash<T> {
+    to ||= Object.create(Object.getPrototypeOf(this), {});
+    const { iHash, salt, destroyed } = this;
+    to = to as this;
+    to.salt = salt;
+    to.destroyed = destroyed;
+    to.iHash = iHash._cloneInto(to.iHash);
+    return to;
+  }
+  clone(): SignatureHash<T> {
+    return this._cloneInto();
+  }
+  destroy() {
+    this.destroyed = true;
+    this.iHash.destroy();
+  }
+}
+
+/**
+ * Creates signature hashing context for v4 and v6 signatures.
+ * @param hash - hash function of signature, e.g. sha256
+ * @param opts - salt for v6 signatures
+ * @example
+ * const ctx = signatureHash(sha256, { salt }).update(data);
+ * const { digest, left16 } = ctx.finalizeSignature({ version: 6, hashedArea, salt });
+ */
+export const signatureHash = (hash: CHash, opts?: SignatureHashOpts) =>
+  new SignatureHash<any>(hash, opts);
+
+// MDC packet: 0xD3 0x14 header and SHA1 digest (RFC 9580 section 5.13.1)
+const MDC_HEADER = /* @__PURE__ */ new Uint8Array([0xd3, 0x14]);
+const MDC_LEN = 22;
+
+// Streaming verification of Modification Detection Code of SEIPD v1 packets.
+// Decrypted stream is `prefix || plaintext || 0xD3 0x14 || sha1(prefix || plaintext || 0xD3 0x14)`.
+// Last 22 bytes are held back until more data arrives, since they can be MDC packet.
+export class MDC {
+  private iHash = sha1.create();
+  private tail = new Uint8Array(MDC_LEN);
+  private tailLen = 0;
+  protected finished = false;
+  protected destroyed = false;
+
+  /**
+   * Hashes chunk of decrypted stream.
+   * @returns bytes which are known to be before MDC packet (can be empty)
+   */
+  update(data: Input): Uint8Array {
+    assertExists(this);
+    data = toBytes(data);
+    const { tail, tailLen } = this;
+    const total = tailLen + data.length;
+    if (total <= MDC_LEN) {
+      tail.set(data, tailLen);
+      this.tailLen = total;
+      return new Uint8Array(0);
+    }
+    const buf = concatBytes(tail.subarray(0, tailLen), data);
+    const out = buf.subarray(0, total - MDC_LEN);
+    this.iHash.update(out);
+    tail.set(buf.subarray(total - MDC_LEN));
+    this.tailLen = MDC_LEN;
+    return out;
+  }
+  /**
+   * Verifies MDC packet at the end of stream in constant time.
+   * @returns true if MDC is valid, false if stream is too short or modified
+   */
+  finish(): boolean {
+    assertExists(this);
+    this.finished = true;
+    const { tail, tailLen } = this;
+    // Expected packet: hash of everything before MDC, including MDC header
+    const exp = new Uint8Array(MDC_LEN);
+    exp.set(MDC_HEADER);
+    exp.set(this.iHash.update(MDC_HEADER).digest(), MDC_HEADER.length);
+    const res = tailLen === MDC_LEN && equalBytes(tail, exp);
+    this.destroy();
+    return res;
+  }
+  destroy() {
+    this.destroyed = true;
+    this.tail.fill(0);
+    this.tailLen = 0;
+    this.iHash.destroy();
+  }
+}
+
+/**
+ * Creates Modification Detection Code verifier for decrypted SEIPD v1 stream.
+ * @example
+ * const m = mdc();
+ * for (const chunk of decryptedChunks) output(m.update(chunk)); // prefix || plaintext
+ * if (!m.finish()) throw new Error('MDC mismatch');
+ */
+export const mdc = () => new MDC();
+
+// ECDH public key algorithm ID and fixed sender string of KDF parameters (RFC 6637 section 8)
+const ECDH_ALGO_ID = 18;
+const ANONYMOUS_SENDER = /* @__PURE__ */ utf8ToBytes('Anonymous Sender    ');
+// Allowed KDF hash IDs: SHA2-256, SHA2-384, SHA2-512; KEK cipher IDs: AES-128, AES-192, AES-256
+const ECDH_HASH_IDS = [8, 9, 10];
+const ECDH_CIPHER_IDS = [7, 8, 9];
+
+export type EcdhKdfParamOpts = {
+  // Curve OID as in public key packet: without 0x06 tag and length, e.g. 2a8648ce3d030107 for P-256
+  curveOid: Uint8Array;
+  hash: CHash; // KDF hash with OpenPGP ID: sha256, sha384 or sha512
+  cipherId: number; // KEK symmetric algorithm ID: 7 (AES-128), 8 (AES-192) or 9 (AES-256)
+  fingerprint: Uint8Array; // recipient fingerprint: 20 bytes for v4 keys, 32 bytes for v6 keys
+};
+
+/**
+ * Builds parameter block of OpenPGP ECDH KDF (RFC 6637 section 8, RFC 9580 section 11.5):
+ * `len(OID) || OID || 18 || 0x03 || 0x01 || hash ID || cipher ID || "Anonymous Sender    " || fingerprint`.
+ * Key encryption key is `concatKdf(hash, sharedSecret, param, keyLength)` from `concat-kdf` module.
+ * @example
+ * const param = ecdhKdfParam({ curveOid, hash: sha256, cipherId: 9, fingerprint });
+ * const kek = concatKdf(sha256, sharedSecret, param, 32);
+ */
+export function ecdhKdfParam(opts: EcdhKdfParamOpts): Uint8Array {
+  const { curveOid, hash, cipherId, fingerprint } = checkOpts({}, opts);
+  assertBytes(curveOid);
+  assertHash(hash);
+  assertNumber(cipherId);
+  assertBytes(fingerprint);
+  // 0x00 and 0xFF are reserved for future extensions
+  if (curveOid.length < 1 || curveOid.length > 254)
+    throw new Error('OpenPGP: curve OID should be 1..254 bytes');
+  if (curveOid[0] === 0x06 && curveOid[1] === curveOid.length - 2)
+    throw new Error('OpenPGP: curve OID should be without DER tag and length');
+  const { openpgpId } = hash;
+  if (openpgpId === undefined || !ECDH_HASH_IDS.includes(openpgpId))
+    throw new Error('OpenPGP: KDF hash should be sha256, sha384 or sha512');
+  if (!ECDH_CIPHER_IDS.includes(cipherId))
+    throw new Error('OpenPGP: cipher ID should be 7, 8 or 9 (AES-128, AES-192, AES-256)');
+  if (fingerprint.length !== 20 && fingerprint.length !== 32)
+    throw new Error('OpenPGP: fingerprint should be 20 or 32 bytes');
+  return concatBytes(
+    new Uint8Array([curveOid.length]),
+    curveOid,
+    new Uint8Array([ECDH_ALGO_ID, 0x03, 0x01, openpgpId, cipherId]),
+    ANONYMOUS_SENDER,
+    fingerprint
+  );
+}
@@ -0,0 +1,135 @@
+import { bytes as assertBytes, hash as assertHash, number as assertNumber } from './_assert.js';
+import { ripemd128, ripemd160, ripemd256, ripemd320 } from './ripemd160.js';
+import { sha1 } from './sha1.js';
+import { sha224, sha256 } from './sha256.js';
+import { sha3_224, sha3_256, sha3_384, sha3_512 } from './sha3.js';
+import { sha384, sha512, sha512_224, sha512_256 } from './sha512.js';
+import { sm3 } from './sm3.js';
+import { streebog256, streebog512 } from './streebog.js';
+import { CHash, bytesToHex, checkOpts } from './utils.js';
+
+// Registry of hash algorithms: finds hash by name, OID or OpenPGP hash algorithm ID.
+// Useful when algorithm is only known at runtime, e.g. from a parsed packet or certificate.
+
+export type RegistryOpts = {
+  oid?: Uint8Array | string; // DER encoded or dotted OID, default: hash.oid
+  openpgpId?: number; // OpenPGP hash algorithm ID, default: hash.openpgpId
+  aliases?: string[]; // other names of the hash
+};
+
+const BY_NAME = new Map<string, CHash>();
+const BY_OID = new Map<string, CHash>();
+const BY_OPENPGP_ID = new Map<number, CHash>();
+
+// Names are case-insensitive
+const normName = (name: string) => {
+  if (typeof name !== 'string' || !name) throw new Error('Hash name should be non-empty string');
+  return name.toUpperCase();
+};
+
+/**
+ * Encodes dotted OID string into DER, with tag and length.
+ * @example oidToBytes('2.16.840.1.101.3.4.2.1') // 06 09 60 86 48 01 65 03 04 02 01
+ */
+export function oidToBytes(oid: string): Uint8Array {
+  if (typeof oid !== 'string' || !/^[0-2](\.\d+)+$/.test(oid)) throw new Error(`Wrong OID: ${oid}`);
+  const arcs = oid.split('.').map(Number);
+  if (arcs[0] < 2 && arcs[1] >= 40) throw new Error(`Wrong OID: ${oid}`);
+  const res: number[] = [];
+  // First two arcs are encoded as one
+  for (let arc of [arcs[0] * 40 + arcs[1], ...arcs.slice(2)]) {
+    assertNumber(arc);
+    // Base 128, most significant group first, high bit set on all but last byte
+    const groups = [arc % 128];
+    for (arc = Math.floor(arc / 128); arc > 0; arc = Math.floor(arc / 128))
+      groups.unshift(arc % 128 | 0x80);
+    res.push(...groups);
+  }
+  if (res.length > 127) throw new Error(`OID is too long: ${oid}`);
+  return new Uint8Array([0x06, res.length, ...res]);
+}
+
+// Key of OID map: hex of DER encoding
+function oidKey(oid: Uint8Array | string) {
+  if (typeof oid === 'string') return bytesToHex(oidToBytes(oid));
+  assertBytes(oid);
+  return bytesToHex(oid);
+}
+
+/**
+ * Adds hash to registry. Name, aliases, OID and OpenPGP ID should not be registered already.
+ * @param name - canonical name, e.g. 'SHA-256'
+ * @param hash - hash function
+ * @param opts - OID and OpenPGP ID, taken from hash by default
+ * @example
+ * registerHash('MY-HASH', myHash, { oid: oidToBytes('1.2.3.4'), openpgpId: 110 });
+ */
+export function registerHash(name: string, hash: CHash, opts: RegistryOpts = {}) {
+  assertHash(hash);
+  const {
+    oid = hash.oid,
+    openpgpId = hash.openpgpId,
+    aliases = [],
+  } = checkOpts({}, opts) as RegistryOpts;
+  if (!Array.isArray(aliases)) throw new Error('aliases should be array');
+  const names = [name, ...aliases].map(normName);
+  // Check everything first, so failed registration doesn't leave partial entries
+  for (const n of names) if (BY_NAME.has(n)) throw new Error(`Hash ${n} is already registered`);
+  if (new Set(names).size !== names.length) throw new Error('Duplicate hash names');
+  const key = oid === undefined ? undefined : oidKey(oid);
+  if (key !== undefined && BY_OID.has(key))
+    throw new Error(`Hash OID ${key} is already registered`);
+  if (openpgpId !== undefined) {
+    assertNumber(openpgpId);
+    if (openpgpId > 255) throw new Error('OpenPGP hash ID should be single byte');
+    if (BY_OPENPGP_ID.has(openpgpId))
+      throw new Error(`OpenPGP hash ID ${openpgpId} is already registered`);
+  }
+  for (const n of names) BY_NAME.set(n, hash);
+  if (key !== undefined) BY_OID.set(key, hash);
+  if (openpgpId !== undefined) BY_OPENPGP_ID.set(openpgpId, hash);
+}
+
+/**
+ * Finds hash by name (case-insensitive).
+ * @example hashByName('SHA-256') === sha256
+ */
+export function hashByName(name: string): CHash | undefined {
+  return BY_NAME.get(normName(name));
+}
+
+/**
+ * Finds hash by OID: DER encoded bytes or dotted string.
+ * @example hashByOid('2.16.840.1.101.3.4.2.1') === sha256
+ */
+export function hashByOid(oid: Uint8Array | string): CHash | undefined {
+  return BY_OID.get(oidKey(oid));
+}
+
+/**
+ * Finds hash by OpenPGP hash algorithm ID (RFC 9580 section 9.5).
+ * @example hashByOpenpgpId(8) === sha256
+ */
+export function hashByOpenpgpId(id: number): CHash | undefined {
+  assertNumber(id);
+  return BY_OPENPGP_ID.get(id);
+}
+
+registerHash('SHA-1', sha1, { aliases: ['SHA1'] });
+registerHash('SHA-224', sha224, { aliases: ['SHA224'] });
+registerHash('SHA-256', sha256, { aliases: ['SHA256'] });
+registerHash('SHA-384', sha384, { aliases: ['SHA384'] });
+registerHash('SHA-512', sha512, { aliases: ['SHA512'] });
+registerHash('SHA-512/224', sha512_224, { aliases: ['SHA512-224'] });
+registerHash('SHA-512/256', sha512_256, { aliases: ['SHA512-256'] });
+registerHash('SHA3-224', sha3_224);
+registerHash('SHA3-256', sha3_256);
+registerHash('SHA3-384', sha3_384);
+registerHash('SHA3-512', sha3_512);
+registerHash('RIPEMD-128', ripemd128, { aliases: ['RIPEMD128'] });
+registerHash('RIPEMD-160', ripemd160, { aliases: ['RIPEMD160'] });
+registerHash('RIPEMD-256', ripemd256, { aliases: ['RIPEMD256'] });
+registerHash('RIPEMD-320', ripemd320, { aliases: ['RIPEMD320'] });
+registerHash('SM3', sm3);
+registerHash('STREEBOG-256', streebog256, { aliases: ['STREEBOG256'] });
+registerHash('STREEBOG-512', streebog512, { aliases: ['STREEBOG512'] });
@@ -0,0 +1,62 @@
+import { bytes as assertBytes } from './_assert.js';
+import { BigInteger } from './biginteger/index.js';
+import { HmacDRBG } from './drbg.js';
+import { CHash, Input } from './utils.js';
+
+// Deterministic nonce for DSA and ECDSA signatures (RFC 6979 section 3.2): k is derived from
+// private key and message hash with HMAC_DRBG, so signing doesn't depend on quality of randomness.
+// Steps d-g of section 3.2 are exactly HMAC_DRBG instantiation with entropy = int2octets(x),
+// nonce = bits2octets(h1) and personalization = extra entropy (section 3.6).
+// https://datatracker.ietf.org/doc/html/rfc6979
+
+const _1n = /* @__PURE__ */ Object.freeze(BigInteger.new(1));
+
+// Leftmost qlen bits of b as integer (section 2.3.2)
+function bits2int(b: Uint8Array, qlen: number): BigInteger {
+  const x = BigInteger.new(b);
+  const blen = b.length * 8;
+  return blen > qlen ? x.irightShift(BigInteger.new(blen - qlen)) : x;
+}
+
+/**
+ * Deterministic nonce k for DSA/ECDSA from RFC 6979.
+ * @param hash - hash function used for HMAC_DRBG, usually same as the message hash
+ * @param privateKey - private key x, in range [1, q-1]
+ * @param msgHash - hash of the message h1, can be longer or shorter than q
+ * @param qOrder - order q of the group (subgroup order for DSA, curve order for ECDSA)
+ * @param extraEntropy - optional additional data k' from section 3.6, e.g. randomBytes(32)
+ * @returns k in range [1, q-1]
+ * @example
+ * const k = rfc6979Nonce(sha256, privateKey, sha256('sample'), secp256r1N);
+ */
+export function rfc6979Nonce(
+  hash: CHash,
+  privateKey: BigInteger,
+  msgHash: Uint8Array,
+  qOrder: BigInteger,
+  extraEntropy?: Input
+): BigInteger {
+  assertBytes(msgHash);
+  if (qOrder.lte(_1n)) throw new Error('rfc6979: qOrder should be greater than 1');
+  if (privateKey.lt(_1n) || privateKey.gte(qOrder))
+    throw new Error('rfc6979: privateKey should be in range [1, q-1]');
+  const qlen = qOrder.bitLength();
+  const rlen = Math.ceil(qlen / 8);
+  const int2octets = (x: BigInteger) => x.toUint8Array('be', rlen);
+  // bits2octets: bits2int(h1) < 2**qlen, so it is reduced mod q, not just truncated
+  const h1 = int2octets(bits2int(msgHash, qlen).imod(qOrder));
+  const drbg = new HmacDRBG(hash, int2octets(privateKey), {
+    nonce: h1,
+    personalization: extraEntropy,
+  });
+  try {
+    // Each generate call is step h: T from rlen bytes of V, then K = HMAC_K(V || 0x00), V = HMAC_K(V)
+    // when candidate is rejected. rlen * 8 >= qlen, so bits2int only drops extra bits
+    for (;;) {
+      const k = bits2int(drbg.generate(rlen), qlen);
+      if (k.gte(_1n) && k.lt(qOrder)) return k;
+    }
+  } finally {
+    drbg.destroy();
+  }
+}
@@ -25,6 +25,8 @@ const Kl = /* @__PURE__ */ new Uint32Array([
 const Kr = /* @__PURE__ */ new Uint32Array([
   0x50a28be6, 0x5c4dd124, 0x6d703ef3, 0x7a6d76e9, 0x00000000,
 ]);
+// RIPEMD-128 and RIPEMD-256 have 4 groups, right line has different constants
+const Kr128 = /* @__PURE__ */ new Uint32Array([0x50a28be6, 0x5c4dd124, 0x6d703ef3, 0x00000000]);
 // The rotate left (circular left shift) operation for uint32
 const rotl = (word: number, shift: number) => (word << shift) | (word >>> (32 - shift));
 // It's called f() in spec.
@@ -107,4 +109,258 @@ export class RIPEMD160 extends SHA2<RIPEMD160> {
  * RIPEMD-160 - a hash function from 1990s.
  * @param message - msg that would be hashed
  */
-export const ripemd160 = /* @__PURE__ */ wrapConstructor(() => new RIPEMD160());
+export const ripemd160 = /* @__PURE__ */ wrapConstructor(() => new RIPEMD160(), {
+  // 1.3.36.3.2.1
+  oid: new Uint8Array([0x06, 0x05, 0x2b, 0x24, 0x03, 0x02, 0x01]),
+  openpgpId: 3,
+});
+
+// RIPEMD-128, RIPEMD-256 and RIPEMD-320 are from the same paper as RIPEMD-160:
+// https://homes.esat.kuleuven.be/~bosselae/ripemd160/pdf/AB-9601/AB-9601.pdf
+// RIPEMD-256 and RIPEMD-320 don't have better security than RIPEMD-128 and RIPEMD-160:
+// they only have longer output. Lines don't mix at the end, instead they exchange
+// one register after every group.
+export class RIPEMD128 extends SHA2<RIPEMD128> {
+  private h0 = 0x67452301 | 0;
+  private h1 = 0xefcdab89 | 0;
+  private h2 = 0x98badcfe | 0;
+  private h3 = 0x10325476 | 0;
+
+  constructor() {
+    super(64, 16, 8, true);
+  }
+  protected get(): [number, number, number, number] {
+    const { h0, h1, h2, h3 } = this;
+    return [h0, h1, h2, h3];
+  }
+  protected set(h0: number, h1: number, h2: number, h3: number) {
+    this.h0 = h0 | 0;
+    this.h1 = h1 | 0;
+    this.h2 = h2 | 0;
+    this.h3 = h3 | 0;
+  }
+  protected process(view: DataView, offset: number): void {
+    for (let i = 0; i < 16; i++, offset += 4) BUF[i] = view.getUint32(offset, true);
+    // prettier-ignore
+    let al = this.h0 | 0, ar = al,
+        bl = this.h1 | 0, br = bl,
+        cl = this.h2 | 0, cr = cl,
+        dl = this.h3 | 0, dr = dl;
+    for (let group = 0; group < 4; group++) {
+      const rGroup = 3 - group;
+      const hbl = Kl[group], hbr = Kr128[group]; // prettier-ignore
+      const rl = idxL[group], rr = idxR[group]; // prettier-ignore
+      const sl = shiftsL[group], sr = shiftsR[group]; // prettier-ignore
+      for (let i = 0; i < 16; i++) {
+        const tl = rotl(al + f(group, bl, cl, dl) + BUF[rl[i]] + hbl, sl[i]) | 0;
+        al = dl, dl = cl, cl = bl, bl = tl; // prettier-ignore
+      }
+      for (let i = 0; i < 16; i++) {
+        const tr = rotl(ar + f(rGroup, br, cr, dr) + BUF[rr[i]] + hbr, sr[i]) | 0;
+        ar = dr, dr = cr, cr = br, br = tr; // prettier-ignore
+      }
+    }
+    this.set(
+      (this.h1 + cl + dr) | 0,
+      (this.h2 + dl + ar) | 0,
+      (this.h3 + al + br) | 0,
+      (this.h0 + bl + cr) | 0
+    );
+  }
+  protected roundClean() {
+    BUF.fill(0);
+  }
+  destroy() {
+    this.destroyed = true;
+    this.buffer.fill(0);
+    this.set(0, 0, 0, 0);
+  }
+}
+
+export class RIPEMD256 extends SHA2<RIPEMD256> {
+  private h0 = 0x67452301 | 0;
+  private h1 = 0xefcdab89 | 0;
+  private h2 = 0x98badcfe | 0;
+  private h3 = 0x10325476 | 0;
+  private h4 = 0x76543210 | 0;
+  private h5 = 0xfedcba98 | 0;
+  private h6 = 0x89abcdef | 0;
+  private h7 = 0x01234567 | 0;
+
+  constructor() {
+    super(64, 32, 8, true);
+  }
+  protected get(): [number, number, number, number, number, number, number, number] {
+    const { h0, h1, h2, h3, h4, h5, h6, h7 } = this;
+    return [h0, h1, h2, h3, h4, h5, h6, h7];
+  }
+  // prettier-ignore
+  protected set(
+    h0: number, h1: number, h2: number, h3: number, h4: number, h5: number, h6: number, h7: number
+  ) {
+    this.h0 = h0 | 0;
+    this.h1 = h1 | 0;
+    this.h2 = h2 | 0;
+    this.h3 = h3 | 0;
+    this.h4 = h4 | 0;
+    this.h5 = h5 | 0;
+    this.h6 = h6 | 0;
+    this.h7 = h7 | 0;
+  }
+  protected process(view: DataView, offset: number): void {
+    for (let i = 0; i < 16; i++, offset += 4) BUF[i] = view.getUint32(offset, true);
+    // prettier-ignore
+    let al = this.h0 | 0, ar = this.h4 | 0,
+        bl = this.h1 | 0, br = this.h5 | 0,
+        cl = this.h2 | 0, cr = this.h6 | 0,
+        dl = this.h3 | 0, dr = this.h7 | 0, t;
+    for (let group = 0; group < 4; group++) {
+      const rGroup = 3 - group;
+      const hbl = Kl[group], hbr = Kr128[group]; // prettier-ignore
+      const rl = idxL[group], rr = idxR[group]; // prettier-ignore
+      const sl = shiftsL[group], sr = shiftsR[group]; // prettier-ignore
+      for (let i = 0; i < 16; i++) {
+        const tl = rotl(al + f(group, bl, cl, dl) + BUF[rl[i]] + hbl, sl[i]) | 0;
+        al = dl, dl = cl, cl = bl, bl = tl; // prettier-ignore
+      }
+      for (let i = 0; i < 16; i++) {
+        const tr = rotl(ar + f(rGroup, br, cr, dr) + BUF[rr[i]] + hbr, sr[i]) | 0;
+        ar = dr, dr = cr, cr = br, br = tr; // prettier-ignore
+      }
+      // Exchange A, B, C, D between lines after groups 1, 2, 3, 4
+      if (group === 0) t = al, al = ar, ar = t; // prettier-ignore
+      else if (group === 1) t = bl, bl = br, br = t; // prettier-ignore
+      else if (group === 2) t = cl, cl = cr, cr = t; // prettier-ignore
+      else t = dl, dl = dr, dr = t; // prettier-ignore
+    }
+    this.set(
+      (this.h0 + al) | 0,
+      (this.h1 + bl) | 0,
+      (this.h2 + cl) | 0,
+      (this.h3 + dl) | 0,
+      (this.h4 + ar) | 0,
+      (this.h5 + br) | 0,
+      (this.h6 + cr) | 0,
+      (this.h7 + dr) | 0
+    );
+  }
+  protected roundClean() {
+    BUF.fill(0);
+  }
+  destroy() {
+    this.destroyed = true;
+    this.buffer.fill(0);
+    this.set(0, 0, 0, 0, 0, 0, 0, 0);
+  }
+}
+
+export class RIPEMD320 extends SHA2<RIPEMD320> {
+  private h0 = 0x67452301 | 0;
+  private h1 = 0xefcdab89 | 0;
+  private h2 = 0x98badcfe | 0;
+  private h3 = 0x10325476 | 0;
+  private h4 = 0xc3d2e1f0 | 0;
+  private h5 = 0x76543210 | 0;
+  private h6 = 0xfedcba98 | 0;
+  private h7 = 0x89abcdef | 0;
+  private h8 = 0x01234567 | 0;
+  private h9 = 0x3c2d1e0f | 0;
+
+  constructor() {
+    super(64, 40, 8, true);
+  }
+  // prettier-ignore
+  protected get(): [
+    number, number, number, number, number, number, number, number, number, number
+  ] {
+    const { h0, h1, h2, h3, h4, h5, h6, h7, h8, h9 } = this;
+    return [h0, h1, h2, h3, h4, h5, h6, h7, h8, h9];
+  }
+  // prettier-ignore
+  protected set(
+    h0: number, h1: number, h2: number, h3: number, h4: number,
+    h5: number, h6: number, h7: number, h8: number, h9: number
+  ) {
+    this.h0 = h0 | 0;
+    this.h1 = h1 | 0;
+    this.h2 = h2 | 0;
+    this.h3 = h3 | 0;
+    this.h4 = h4 | 0;
+    this.h5 = h5 | 0;
+    this.h6 = h6 | 0;
+    this.h7 = h7 | 0;
+    this.h8 = h8 | 0;
+    this.h9 = h9 | 0;
+  }
+  protected process(view: DataView, offset: number): void {
+    for (let i = 0; i < 16; i++, offset += 4) BUF[i] = view.getUint32(offset, true);
+    // prettier-ignore
+    let al = this.h0 | 0, ar = this.h5 | 0,
+        bl = this.h1 | 0, br = this.h6 | 0,
+        cl = this.h2 | 0, cr = this.h7 | 0,
+        dl = this.h3 | 0, dr = this.h8 | 0,
+        el = this.h4 | 0, er = this.h9 | 0, t;
+    for (let group = 0; group < 5; group++) {
+      const rGroup = 4 - group;
+      const hbl = Kl[group], hbr = Kr[group]; // prettier-ignore
+      const rl = idxL[group], rr = idxR[group]; // prettier-ignore
+      const sl = shiftsL[group], sr = shiftsR[group]; // prettier-ignore
+      for (let i = 0; i < 16; i++) {
+        const tl = (rotl(al + f(group, bl, cl, dl) + BUF[rl[i]] + hbl, sl[i]) + el) | 0;
+        al = el, el = dl, dl = rotl(cl, 10) | 0, cl = bl, bl = tl; // prettier-ignore
+      }
+      for (let i = 0; i < 16; i++) {
+        const tr = (rotl(ar + f(rGroup, br, cr, dr) + BUF[rr[i]] + hbr, sr[i]) + er) | 0;
+        ar = er, er = dr, dr = rotl(cr, 10) | 0, cr = br, br = tr; // prettier-ignore
+      }
+      // Exchange B, D, A, C, E between lines after groups 1, 2, 3, 4, 5
+      if (group === 0) t = bl, bl = br, br = t; // prettier-ignore
+      else if (group === 1) t = dl, dl = dr, dr = t; // prettier-ignore
+      else if (group === 2) t = al, al = ar, ar = t; // prettier-ignore
+      else if (group === 3) t = cl, cl = cr, cr = t; // prettier-ignore
+      else t = el, el = er, er = t; // prettier-ignore
+    }
+    this.set(
+      (this.h0 + al) | 0,
+      (this.h1 + bl) | 0,
+      (this.h2 + cl) | 0,
+      (this.h3 + dl) | 0,
+      (this.h4 + el) | 0,
+      (this.h5 + ar) | 0,
+      (this.h6 + br) | 0,
+      (this.h7 + cr) | 0,
+      (this.h8 + dr) | 0,
+      (this.h9 + er) | 0
+    );
+  }
+  protected roundClean() {
+    BUF.fill(0);
+  }
+  destroy() {
+    this.destroyed = true;
+    this.buffer.fill(0);
+    this.set(0, 0, 0, 0, 0, 0, 0, 0, 0, 0);
+  }
+}
+
+/**
+ * RIPEMD-128, legacy: 128-bit output is too short for collision resistance.
+ * @param message - msg that would be hashed
+ */
+export const ripemd128 = /* @__PURE__ */ wrapConstructor(() => new RIPEMD128(), {
+  // 1.3.36.3.2.2
+  oid: new Uint8Array([0x06, 0x05, 0x2b, 0x24, 0x03, 0x02, 0x02]),
+});
+/**
+ * RIPEMD-256: RIPEMD-128 with longer output, but same security level.
+ * @param message - msg that would be hashed
+ */
+export const ripemd256 = /* @__PURE__ */ wrapConstructor(() => new RIPEMD256(), {
+  // 1.3.36.3.2.3
+  oid: new Uint8Array([0x06, 0x05, 0x2b, 0x24, 0x03, 0x02, 0x03]),
+});
+/**
+ * RIPEMD-320: RIPEMD-160 with longer output, but same security level.
+ * @param message - msg that would be hashed
+ */
+export const ripemd320 = /* @__PURE__ */ wrapConstructor(() => new RIPEMD320());
@@ -0,0 +1,233 @@
+import { bytes as assertBytes, hash as assertHash, number as assertNumber } from './_assert.js';
+import { CHash, Input, checkOpts, equalBytes, randomBytes, toBytes } from './utils.js';
+
+// Message encodings of RSA signatures and encryption (RFC 8017).
+// Only encodings are here: modular exponentiation is up to the caller.
+
+/**
+ * EMSA-PKCS1-v1_5 encoding (RFC 8017 section 9.2): `0x00 || 0x01 || 0xFF.. || 0x00 || DigestInfo || hash(msg)`.
+ * @param hash - hash function with DigestInfo, e.g. sha256
+ * @param msg - message to be signed
+ * @param emLen - length of encoded message: byte length of RSA modulus
+ * @example
+ * const em = emsaPkcs1v15Encode(sha256, 'message', 256); // RSA-2048
+ */
+export function emsaPkcs1v15Encode(hash: CHash, msg: Input, emLen: number): Uint8Array {
+  assertHash(hash);
+  assertNumber(emLen);
+  const { digestInfo } = hash;
+  if (!digestInfo) throw new Error('EMSA-PKCS1-v1_5: hash has no DigestInfo');
+  const h = hash(toBytes(msg));
+  const tLen = digestInfo.length + h.length;
+  // At least 8 bytes of 0xFF padding
+  if (emLen < tLen + 11)
+    throw new Error('EMSA-PKCS1-v1_5: intended encoded message length too short');
+  const em = new Uint8Array(emLen);
+  em[1] = 0x01;
+  em.fill(0xff, 2, emLen - tLen - 1);
+  em.set(digestInfo, emLen - tLen);
+  em.set(h, emLen - h.length);
+  return em;
+}
+
+// Mask generation function: returns `len` bytes derived from seed
+export type MGF = (seed: Uint8Array, len: number) => Uint8Array;
+
+/**
+ * MGF1 mask generation function (RFC 8017 appendix B.2.1):
+ * `hash(seed || 0x00000000) || hash(seed || 0x00000001) || ...`, truncated to `len` bytes.
+ * @param hash - any hash function, including shake128/shake256 with their default output length
+ * @example
+ * const mask = mgf1(sha256, seed, 100);
+ */
+export function mgf1(hash: CHash, seed: Uint8Array, len: number): Uint8Array {
+  assertHash(hash);
+  assertBytes(seed);
+  assertNumber(len);
+  const { outputLen } = hash;
+  if (len > 2 ** 32 * outputLen) throw new Error('MGF1: mask too long');
+  const res = new Uint8Array(len);
+  const counter = new Uint8Array(4);
+  // Seed is hashed once, then cloned for every counter value
+  const base = hash.create().update(seed);
+  let tmp: typeof base | undefined;
+  for (let pos = 0, i = 0; pos < len; pos += outputLen, i++) {
+    counter[0] = i >>> 24;
+    counter[1] = i >>> 16;
+    counter[2] = i >>> 8;
+    counter[3] = i;
+    tmp = base._cloneInto(tmp);
+    const block = tmp.update(counter).digest();
+    res.set(len - pos < outputLen ? block.subarray(0, len - pos) : block, pos);
+  }
+  base.destroy();
+  return res;
+}
+
+const xorInto = (a: Uint8Array, b: Uint8Array) => {
+  for (let i = 0; i < a.length; i++) a[i] ^= b[i];
+};
+
+// Default MGF is MGF1 with same hash. Custom MGF output is checked: shorter mask would leave data unmasked
+function getMGF(hash: CHash, mgf?: MGF): MGF {
+  if (mgf === undefined) return (seed, len) => mgf1(hash, seed, len);
+  if (typeof mgf !== 'function') throw new Error('mgf should be function');
+  return (seed, len) => {
+    const mask = mgf(seed, len);
+    assertBytes(mask, len);
+    return mask;
+  };
+}
+
+export type PSSOpts = {
+  saltLen?: number; // default: hash.outputLen
+  salt?: Uint8Array; // only for encoding: random by default, fixed salt is for tests
+  mgf?: MGF; // default: MGF1 with same hash. RFC 8702 uses SHAKE itself as MGF
+};
+
+function pssInit(hash: CHash, emBits: number, opts: PSSOpts | undefined) {
+  assertHash(hash);
+  assertNumber(emBits);
+  const { salt, ...rest } = checkOpts({}, opts) as PSSOpts;
+  if (salt !== undefined) assertBytes(salt);
+  // Salt length defaults to length of fixed salt, if there is one
+  const saltLen = rest.saltLen === undefined ? (salt ? salt.length : hash.outputLen) : rest.saltLen;
+  assertNumber(saltLen);
+  if (salt !== undefined && salt.length !== saltLen) throw new Error('PSS: wrong salt length');
+  const mgf = getMGF(hash, rest.mgf);
+  const hLen = hash.outputLen;
+  const emLen = Math.ceil(emBits / 8);
+  if (emLen < hLen + saltLen + 2) throw new Error('PSS: encoding error, emBits too small');
+  return { saltLen, salt, mgf, hLen, emLen, topMask: 0xff >>> (8 * emLen - emBits) };
+}
+
+// H = hash(0x00 * 8 || mHash || salt)
+const pssHash = (hash: CHash, mHash: Uint8Array, salt: Uint8Array) =>
+  hash.create().update(new Uint8Array(8)).update(mHash).update(salt).digest();
+
+/**
+ * EMSA-PSS encoding (RFC 8017 section 9.1.1): `maskedDB || H || 0xBC`.
+ * @param hash - hash function, e.g. sha256
+ * @param msg - message to be signed
+ * @param emBits - maximal bit length of encoded message: bit length of RSA modulus minus 1
+ * @param opts - salt length and mask generation function
+ * @example
+ * const em = emsaPssEncode(sha256, 'message', 2047); // RSA-2048
+ */
+export function emsaPssEncode(hash: CHash, msg: Input, emBits: number, opts?: PSSOpts) {
+  const { saltLen, mgf, hLen, emLen, topMask, ...rest } = pssInit(hash, emBits, opts);
+  const salt = rest.salt || randomBytes(saltLen);
+  const H = pssHash(hash, hash(toBytes(msg)), salt);
+  const dbLen = emLen - hLen - 1;
+  const em = new Uint8Array(emLen);
+  // DB = 0x00.. || 0x01 || salt
+  em[dbLen - saltLen - 1] = 0x01;
+  em.set(salt, dbLen - saltLen);
+  xorInto(em.subarray(0, dbLen), mgf(H, dbLen));
+  em[0] &= topMask;
+  em.set(H, dbLen);
+  em[emLen - 1] = 0xbc;
+  return em;
+}
+
+/**
+ * EMSA-PSS verification (RFC 8017 section 9.1.2).
+ * @param em - encoded message: result of RSA verification primitive, emLen bytes
+ * @returns true if encoded message is consistent with message
+ */
+export function emsaPssVerify(
+  hash: CHash,
+  msg: Input,
+  em: Uint8Array,
+  emBits: number,
+  opts?: PSSOpts
+): boolean {
+  assertBytes(em);
+  const { saltLen, mgf, hLen, emLen, topMask } = pssInit(hash, emBits, opts);
+  const mHash = hash(toBytes(msg));
+  if (em.length !== emLen || em[emLen - 1] !== 0xbc || em[0] & ~topMask) return false;
+  const dbLen = emLen - hLen - 1;
+  const H = em.subarray(dbLen, dbLen + hLen);
+  const db = em.slice(0, dbLen);
+  xorInto(db, mgf(H, dbLen));
+  db[0] &= topMask;
+  const psLen = dbLen - saltLen - 1;
+  for (let i = 0; i < psLen; i++) if (db[i] !== 0) return false;
+  if (db[psLen] !== 0x01) return false;
+  return equalBytes(pssHash(hash, mHash, db.subarray(dbLen - saltLen)), H);
+}
+
+export type OAEPOpts = {
+  label?: Input; // default: empty
+  seed?: Uint8Array; // only for encoding: random by default, fixed seed is for tests
+  mgf?: MGF; // default: MGF1 with same hash
+};
+
+function oaepInit(hash: CHash, opts: OAEPOpts | undefined) {
+  assertHash(hash);
+  const { label, seed, ...rest } = checkOpts({}, opts) as OAEPOpts;
+  const hLen = hash.outputLen;
+  if (seed !== undefined) assertBytes(seed, hLen);
+  const mgf = getMGF(hash, rest.mgf);
+  return { lHash: hash(label === undefined ? new Uint8Array() : toBytes(label)), seed, mgf, hLen };
+}
+
+/**
+ * EME-OAEP encoding (RFC 8017 section 7.1.1): `0x00 || maskedSeed || maskedDB`.
+ * @param hash - hash function, e.g. sha256
+ * @param msg - message to be encrypted
+ * @param k - byte length of RSA modulus
+ * @param opts - label and mask generation function
+ * @example
+ * const em = emeOaepEncode(sha256, key, 256, { label: 'label' }); // RSA-2048
+ */
+export function emeOaepEncode(hash: CHash, msg: Input, k: number, opts?: OAEPOpts) {
+  const { lHash, mgf, hLen, ...rest } = oaepInit(hash, opts);
+  assertNumber(k);
+  msg = toBytes(msg);
+  if (k < 2 * hLen + 2 || msg.length > k - 2 * hLen - 2) throw new Error('OAEP: message too long');
+  const seed = rest.seed || randomBytes(hLen);
+  const em = new Uint8Array(k);
+  const maskedSeed = em.subarray(1, 1 + hLen);
+  const maskedDB = em.subarray(1 + hLen);
+  // DB = lHash || 0x00.. || 0x01 || msg
+  maskedDB.set(lHash);
+  maskedDB[maskedDB.length - msg.length - 1] = 0x01;
+  maskedDB.set(msg, maskedDB.length - msg.length);
+  xorInto(maskedDB, mgf(seed, maskedDB.length));
+  maskedSeed.set(seed);
+  xorInto(maskedSeed, mgf(maskedDB, hLen));
+  return em;
+}
+
+/**
+ * EME-OAEP decoding (RFC 8017 section 7.1.2).
+ * All checks are done before throwing, and there is single error for all of them,
+ * so errors don't reveal which check failed (Manger's attack).
+ * @param em - encoded message: result of RSA decryption primitive, k bytes
+ * @returns decoded message
+ */
+export function emeOaepDecode(hash: CHash, em: Uint8Array, opts?: OAEPOpts): Uint8Array {
+  const { lHash, mgf, hLen } = oaepInit(hash, opts);
+  assertBytes(em);
+  if (em.length < 2 * hLen + 2) throw new Error('OAEP: decryption error');
+  const seed = em.slice(1, 1 + hLen);
+  const maskedDB = em.subarray(1 + hLen);
+  xorInto(seed, mgf(maskedDB, hLen));
+  const db = maskedDB.slice();
+  xorInto(db, mgf(seed, db.length));
+  let bad = em[0] | +!equalBytes(db.subarray(0, hLen), lHash);
+  // Find 0x01 after zero padding without early exit
+  let found = 0;
+  let start = 0;
+  for (let i = hLen; i < db.length; i++) {
+    const one = +(db[i] === 1);
+    const zero = +(db[i] === 0);
+    start |= (one & ~found & 1) * (i + 1);
+    bad |= ~found & ~one & ~zero & 1;
+    found |= one;
+  }
+  bad |= ~found & 1;
+  if (bad) throw new Error('OAEP: decryption error');
+  return db.slice(start);
+}
@@ -0,0 +1,138 @@
+import { hash as assertHash, number as assertNumber } from './_assert.js';
+import { Hash, CHash, Input, toBytes, checkOpts, asyncLoop, concatBytes } from './utils.js';
+
+// OpenPGP String-to-Key (RFC 4880 section 3.7, RFC 9580 section 3.7)
+
+export type S2KOpt = {
+  dkLen?: number; // Desired key length in bytes
+};
+export type S2KIteratedOpt = S2KOpt & {
+  c: number; // Coded iteration count octet
+  asyncTick?: number; // Maximum time in ms for which async function can block execution
+};
+
+// Iterated data is hashed in chunks of at least this size
+const CHUNK_SIZE = 4096;
+const EXPBIAS = 6;
+// Salted and iterated S2K always use 8 byte salt (RFC 4880 section 3.7.1.2)
+const SALT_LEN = 8;
+
+/**
+ * Decodes one-octet iteration count into the number of octets to be hashed.
+ * @example decodeCount(96) // 65536
+ * @example decodeCount(255) // 65011712
+ */
+export function decodeCount(c: number) {
+  assertNumber(c);
+  if (c > 255) throw new Error('S2K: coded count should be one octet');
+  return (16 + (c & 15)) << ((c >> 4) + EXPBIAS);
+}
+
+function checkSalt(salt: Input) {
+  const res = toBytes(salt);
+  if (res.length !== SALT_LEN) throw new Error(`S2K: salt should be ${SALT_LEN} bytes`);
+  return res;
+}
+
+// Common prologue and epilogue for all variants
+function s2kInit(hash: CHash, password: Input, salt: Input, count: number, dkLen: number) {
+  assertHash(hash);
+  assertNumber(dkLen);
+  const data = concatBytes(toBytes(salt), toBytes(password));
+  // If count is less than the size of salt+password, the whole data is hashed once
+  if (count < data.length) count = data.length;
+  // Key longer than digest: context i is preloaded with i zero octets
+  const contexts: Hash<any>[] = [];
+  for (let i = 0; i * hash.outputLen < dkLen; i++)
+    contexts.push(hash.create().update(new Uint8Array(i)));
+  // Repeat data to fill a chunk, so the last partial chunk is just a prefix of it
+  const reps = Math.ceil(CHUNK_SIZE / (data.length || 1));
+  const chunk = new Uint8Array(data.length * reps);
+  for (let i = 0; i < reps; i++) chunk.set(data, i * data.length);
+  const chunks = chunk.length ? Math.floor(count / chunk.length) : 0;
+  const tail = chunk.subarray(0, count - chunks * chunk.length);
+  return { dkLen, data, contexts, chunk, chunks, tail };
+}
+
+function s2kOutput(dkLen: number, data: Uint8Array, contexts: Hash<any>[], chunk: Uint8Array) {
+  const DK = concatBytes(...contexts.map((h) => h.digest())).slice(0, dkLen);
+  data.fill(0);
+  chunk.fill(0);
+  return DK;
+}
+
+/**
+ * Simple S2K: hash of the password.
+ * @param hash - hash function that would be used e.g. sha256
+ * @param password - password from which a derived key is generated
+ * @param opts - {dkLen} output key size
+ */
+export function s2kSimple(hash: CHash, password: Input, opts: S2KOpt = {}) {
+  return s2kHash(hash, password, new Uint8Array(), opts);
+}
+
+// Simple and salted S2K: salt and password are hashed once
+function s2kHash(hash: CHash, password: Input, salt: Uint8Array, opts: S2KOpt) {
+  const { dkLen } = checkOpts({ dkLen: 32 }, opts);
+  const { data, contexts, chunk } = s2kInit(hash, password, salt, 0, dkLen);
+  for (const h of contexts) h.update(data);
+  return s2kOutput(dkLen, data, contexts, chunk);
+}
+
+/**
+ * Salted S2K: hash of the salt followed by the password.
+ * @param hash - hash function that would be used e.g. sha256
+ * @param password - password from which a derived key is generated
+ * @param salt - 8 byte random salt
+ * @param opts - {dkLen} output key size
+ */
+export function s2kSalted(hash: CHash, password: Input, salt: Input, opts: S2KOpt = {}) {
+  return s2kHash(hash, password, checkSalt(salt), opts);
+}
+
+function s2kIteratedInit(hash: CHash, password: Input, salt: Input, _opts: S2KIteratedOpt) {
+  const opts = checkOpts({ dkLen: 32, asyncTick: 10 }, _opts);
+  const { c, dkLen, asyncTick } = opts;
+  assertNumber(asyncTick);
+  return { asyncTick, ...s2kInit(hash, password, checkSalt(salt), decodeCount(c), dkLen) };
+}
+
+/**
+ * Iterated and Salted S2K: salt and password are repeatedly hashed until
+ * the number of octets specified by the coded count `c` has been hashed.
+ * @param hash - hash function that would be used e.g. sha256
+ * @param password - password from which a derived key is generated
+ * @param salt - 8 byte random salt
+ * @param opts - {c, dkLen} where c is coded count octet and dkLen is output key size
+ * @example s2kIterated(sha256, 'password', salt, { c: 0xff, dkLen: 32 })
+ */
+export function s2kIterated(hash: CHash, password: Input, salt: Input, opts: S2KIteratedOpt) {
+  const { dkLen, data, contexts, chunk, chunks, tail } = s2kIteratedInit(
+    hash,
+    password,
+    salt,
+    opts
+  );
+  for (let i = 0; i < chunks; i++) for (const h of contexts) h.update(chunk);
+  for (const h of contexts) h.update(tail);
+  return s2kOutput(dkLen, data, contexts, chunk);
+}
+
+export async function s2kIteratedAsync(
+  hash: CHash,
+  password: Input,
+  salt: Input,
+  opts: S2KIteratedOpt
+) {
+  const { dkLen, asyncTick, data, contexts, chunk, chunks, tail } = s2kIteratedInit(
+    hash,
+    password,
+    salt,
+    opts
+  );
+  await asyncLoop(chunks, asyncTick, () => {
+    for (const h of contexts) h.update(chunk);
+  });
+  for (const h of contexts) h.update(tail);
+  return s2kOutput(dkLen, data, contexts, chunk);
+}
@@ -85,4 +85,8 @@ class SHA1 extends SHA2<SHA1> {
   }
 }
 
-export const sha1 = /* @__PURE__ */ wrapConstructor(() => new SHA1());
+export const sha1 = /* @__PURE__ */ wrapConstructor(() => new SHA1(), {
+  // 1.3.14.3.2.26
+  oid: new Uint8Array([0x06, 0x05, 0x2b, 0x0e, 0x03, 0x02, 0x1a]),
+  openpgpId: 2,
+});
@@ -1,5 +1,5 @@
 import { SHA2 } from './_sha2.js';
-import { rotr, wrapConstructor } from './utils.js';
+import { oidNist, rotr, wrapConstructor } from './utils.js';
 
 // SHA2-256 need to try 2^128 hashes to execute birthday attack.
 // BTC network is doing 2^67 hashes/sec as per early 2023.
@@ -129,5 +129,11 @@ class SHA224 extends SHA256 {
  * SHA2-256 hash function
  * @param message - data that would be hashed
  */
-export const sha256 = /* @__PURE__ */ wrapConstructor(() => new SHA256());
-export const sha224 = /* @__PURE__ */ wrapConstructor(() => new SHA224());
+export const sha256 = /* @__PURE__ */ wrapConstructor(() => new SHA256(), {
+  oid: oidNist(0x01),
+  openpgpId: 8,
+});
+export const sha224 = /* @__PURE__ */ wrapConstructor(() => new SHA224(), {
+  oid: oidNist(0x04),
+  openpgpId: 11,
+});
@@ -6,6 +6,8 @@ import {
   Input,
   toBytes,
   wrapConstructor,
+  HashInfo,
+  oidNist,
   wrapXOFConstructorWithOpts,
   HashXOF,
 } from './utils.js';
@@ -195,17 +197,23 @@ export class Keccak extends Hash<Keccak> implements HashXOF<Keccak> {
   }
 }
 
-const gen = (suffix: number, blockLen: number, outputLen: number) =>
-  wrapConstructor(() => new Keccak(blockLen, suffix, outputLen));
+const gen = (suffix: number, blockLen: number, outputLen: number, info?: HashInfo) =>
+  wrapConstructor(() => new Keccak(blockLen, suffix, outputLen), info);
 
-export const sha3_224 = /* @__PURE__ */ gen(0x06, 144, 224 / 8);
+export const sha3_224 = /* @__PURE__ */ gen(0x06, 144, 224 / 8, { oid: oidNist(0x07) });
 /**
  * SHA3-256 hash function
  * @param message - that would be hashed
  */
-export const sha3_256 = /* @__PURE__ */ gen(0x06, 136, 256 / 8);
-export const sha3_384 = /* @__PURE__ */ gen(0x06, 104, 384 / 8);
-export const sha3_512 = /* @__PURE__ */ gen(0x06, 72, 512 / 8);
+export const sha3_256 = /* @__PURE__ */ gen(0x06, 136, 256 / 8, {
+  oid: oidNist(0x08),
+  openpgpId: 12,
+});
+export const sha3_384 = /* @__PURE__ */ gen(0x06, 104, 384 / 8, { oid: oidNist(0x09) });
+export const sha3_512 = /* @__PURE__ */ gen(0x06, 72, 512 / 8, {
+  oid: oidNist(0x0a),
+  openpgpId: 14,
+});
 export const keccak_224 = /* @__PURE__ */ gen(0x01, 144, 224 / 8);
 /**
  * keccak-256 hash function. Different from SHA3-256.
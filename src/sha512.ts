@@ -1,6 +1,7 @@
 import { SHA2 } from './_sha2.js';
 import u64 from './_u64.js';
-import { wrapConstructor } from './utils.js';
+import { number as assertNumber } from './_assert.js';
+import { CHash, oidNist, utf8ToBytes, wrapConstructor } from './utils.js';
 import BigInteger from './biginteger/index.js';
 
 // Round contants (first 32 bits of the fractional parts of the cube roots of the first 80 primes 2..409):
@@ -241,7 +242,70 @@ class SHA384 extends SHA512 {
   }
 }
 
-export const sha512 = /* @__PURE__ */ wrapConstructor(() => new SHA512());
-export const sha512_224 = /* @__PURE__ */ wrapConstructor(() => new SHA512_224());
-export const sha512_256 = /* @__PURE__ */ wrapConstructor(() => new SHA512_256());
-export const sha384 = /* @__PURE__ */ wrapConstructor(() => new SHA384());
+// SHA-512/t with IV from the generation function, any t except 384
+class SHA512_T extends SHA512 {
+  readonly t: number;
+  constructor(t: number, iv: Uint32Array) {
+    super();
+    this.t = t;
+    this.outputLen = t / 8;
+    this.set(...(Array.from(iv) as ReturnType<SHA512['get']>));
+  }
+  _cloneInto(to?: SHA512_T): SHA512_T {
+    // Default clone calls constructor without arguments. IV is overwritten by state anyway
+    to ||= new SHA512_T(this.t, new Uint32Array(16));
+    return super._cloneInto(to) as SHA512_T;
+  }
+}
+
+// SHA-512/t IV generation function (FIPS 180-4 section 5.3.6):
+// SHA-512 with IV xored with 0xa5a5a5a5a5a5a5a5, over string 'SHA-512/t'
+class SHA512_IV_GEN extends SHA512 {
+  constructor() {
+    super();
+    this.set(...(this.get().map((i) => i ^ 0xa5a5a5a5) as ReturnType<SHA512['get']>));
+  }
+}
+function sha512tIV(t: number): Uint32Array {
+  const out = new SHA512_IV_GEN().update(utf8ToBytes(`SHA-512/${t}`)).digest();
+  const view = new DataView(out.buffer, out.byteOffset, out.byteLength);
+  return new Uint32Array(16).map((_, i) => view.getUint32(4 * i, false));
+}
+
+const SHA512_T_CACHE = new Map<number, CHash>();
+/**
+ * SHA-512/t: SHA-512 truncated to t bits, with distinct IV for every t (FIPS 180-4 section 5.3.6).
+ * IV is derived once per t and cached. sha512_224 and sha512_256 are same as t=224 and t=256,
+ * but also have OIDs.
+ * @param t - output length in bits: multiple of 8, less than 512, not 384
+ * @example
+ * const sha512_200 = sha512_t(200);
+ * const h = sha512_200('abc'); // 25 bytes
+ */
+export function sha512_t(t: number): CHash {
+  assertNumber(t);
+  if (t === 0 || t >= 512 || t % 8 || t === 384)
+    throw new Error('SHA-512/t: t should be multiple of 8 in range 8..504, except 384');
+  let res = SHA512_T_CACHE.get(t);
+  if (res === undefined) {
+    const iv = sha512tIV(t);
+    res = wrapConstructor(() => new SHA512_T(t, iv));
+    SHA512_T_CACHE.set(t, res);
+  }
+  return res;
+}
+
+export const sha512 = /* @__PURE__ */ wrapConstructor(() => new SHA512(), {
+  oid: oidNist(0x03),
+  openpgpId: 10,
+});
+export const sha512_224 = /* @__PURE__ */ wrapConstructor(() => new SHA512_224(), {
+  oid: oidNist(0x05),
+});
+export const sha512_256 = /* @__PURE__ */ wrapConstructor(() => new SHA512_256(), {
+  oid: oidNist(0x06),
+});
+export const sha384 = /* @__PURE__ */ wrapConstructor(() => new SHA384(), {
+  oid: oidNist(0x02),
+  openpgpId: 9,
+});
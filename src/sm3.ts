@@ -0,0 +1,114 @@
+import { SHA2 } from './_sha2.js';
+import { wrapConstructor } from './utils.js';
+
+// SM3 hash function from Chinese standard GB/T 32905-2016, also ISO/IEC 10118-3:2018.
+// Same Merkle-Damgard structure and padding as SHA2-256, different message expansion and compression.
+// https://datatracker.ietf.org/doc/html/draft-sca-cfrg-sm3-02
+
+const rotl = (word: number, shift: number) => (word << shift) | (word >>> (32 - shift));
+// Permutations of compression function and message expansion
+const P0 = (x: number) => x ^ rotl(x, 9) ^ rotl(x, 17);
+const P1 = (x: number) => x ^ rotl(x, 15) ^ rotl(x, 23);
+// Majority and choice functions, used in rounds 16..63. Rounds 0..15 use xor instead
+const Maj = (a: number, b: number, c: number) => (a & b) | (a & c) | (b & c);
+const Chi = (a: number, b: number, c: number) => (a & b) | (~a & c);
+
+// Round constants: T0 for rounds 0..15, T1 for rounds 16..63. Rotated by round number
+const T0 = 0x79cc4519;
+const T1 = 0x7a879d8a;
+
+// Initial state
+// prettier-ignore
+const IV = /* @__PURE__ */new Uint32Array([
+  0x7380166f, 0x4914b2b9, 0x172442d7, 0xda8a0600, 0xa96f30bc, 0x163138aa, 0xe38dee4d, 0xb0fb0e4e
+]);
+
+// Temporary buffer, not used to store anything between runs
+// W' from specification is computed on the fly: W'[i] = W[i] ^ W[i + 4]
+const SM3_W = /* @__PURE__ */ new Uint32Array(68);
+class SM3 extends SHA2<SM3> {
+  A = IV[0] | 0;
+  B = IV[1] | 0;
+  C = IV[2] | 0;
+  D = IV[3] | 0;
+  E = IV[4] | 0;
+  F = IV[5] | 0;
+  G = IV[6] | 0;
+  H = IV[7] | 0;
+
+  constructor() {
+    super(64, 32, 8, false);
+  }
+  protected get(): [number, number, number, number, number, number, number, number] {
+    const { A, B, C, D, E, F, G, H } = this;
+    return [A, B, C, D, E, F, G, H];
+  }
+  // prettier-ignore
+  protected set(
+    A: number, B: number, C: number, D: number, E: number, F: number, G: number, H: number
+  ) {
+    this.A = A | 0;
+    this.B = B | 0;
+    this.C = C | 0;
+    this.D = D | 0;
+    this.E = E | 0;
+    this.F = F | 0;
+    this.G = G | 0;
+    this.H = H | 0;
+  }
+  protected process(view: DataView, offset: number): void {
+    // Message expansion: 16 words into 68 words
+    for (let i = 0; i < 16; i++, offset += 4) SM3_W[i] = view.getUint32(offset, false);
+    for (let i = 16; i < 68; i++) {
+      const x = SM3_W[i - 16] ^ SM3_W[i - 9] ^ rotl(SM3_W[i - 3], 15);
+      SM3_W[i] = P1(x) ^ rotl(SM3_W[i - 13], 7) ^ SM3_W[i - 6];
+    }
+    // Compression function, 64 rounds
+    let { A, B, C, D, E, F, G, H } = this;
+    for (let i = 0; i < 64; i++) {
+      const low = i < 16;
+      const A12 = rotl(A, 12);
+      const SS1 = rotl((A12 + E + rotl(low ? T0 : T1, i % 32)) | 0, 7);
+      const SS2 = SS1 ^ A12;
+      const FF = low ? A ^ B ^ C : Maj(A, B, C);
+      const GG = low ? E ^ F ^ G : Chi(E, F, G);
+      const TT1 = (FF + D + SS2 + (SM3_W[i] ^ SM3_W[i + 4])) | 0;
+      const TT2 = (GG + H + SS1 + SM3_W[i]) | 0;
+      D = C;
+      C = rotl(B, 9);
+      B = A;
+      A = TT1;
+      H = G;
+      G = rotl(F, 19);
+      F = E;
+      E = P0(TT2);
+    }
+    // Unlike SHA2, new state is xored with previous one
+    this.set(
+      A ^ this.A,
+      B ^ this.B,
+      C ^ this.C,
+      D ^ this.D,
+      E ^ this.E,
+      F ^ this.F,
+      G ^ this.G,
+      H ^ this.H
+    );
+  }
+  protected roundClean() {
+    SM3_W.fill(0);
+  }
+  destroy() {
+    this.set(0, 0, 0, 0, 0, 0, 0, 0);
+    this.buffer.fill(0);
+  }
+}
+
+/**
+ * SM3 hash function (GB/T 32905-2016)
+ * @param message - data that would be hashed
+ */
+export const sm3 = /* @__PURE__ */ wrapConstructor(() => new SM3(), {
+  // 1.2.156.10197.1.401
+  oid: new Uint8Array([0x06, 0x08, 0x2a, 0x81, 0x1c, 0xcf, 0x55, 0x01, 0x83, 0x11]),
+});
@@ -0,0 +1,249 @@
+import { exists, output } from './_assert.js';
+import { Hash, Input, hexToBytes, toBytes, u32, u8, wrapConstructor } from './utils.js';
+
+// Streebog hash function from Russian standard GOST R 34.11-2012 (RFC 6986).
+// 512-bit numbers of specification are little-endian: state, counters and message blocks
+// are stored as 16 u32 words, least significant first.
+
+// Nonlinear bijection pi (RFC 6986 section 6.1)
+// prettier-ignore
+const PI = /* @__PURE__ */ new Uint8Array([
+  252, 238, 221, 17, 207, 110, 49, 22, 251, 196, 250, 218, 35, 197, 4, 77,
+  233, 119, 240, 219, 147, 46, 153, 186, 23, 54, 241, 187, 20, 205, 95, 193,
+  249, 24, 101, 90, 226, 92, 239, 33, 129, 28, 60, 66, 139, 1, 142, 79,
+  5, 132, 2, 174, 227, 106, 143, 160, 6, 11, 237, 152, 127, 212, 211, 31,
+  235, 52, 44, 81, 234, 200, 72, 171, 242, 42, 104, 162, 253, 58, 206, 204,
+  181, 112, 14, 86, 8, 12, 118, 18, 191, 114, 19, 71, 156, 183, 93, 135,
+  21, 161, 150, 41, 16, 123, 154, 199, 243, 145, 120, 111, 157, 158, 178, 177,
+  50, 117, 25, 61, 255, 53, 138, 126, 109, 84, 198, 128, 195, 189, 13, 87,
+  223, 245, 36, 169, 62, 168, 67, 201, 215, 121, 214, 246, 124, 34, 185, 3,
+  224, 15, 236, 222, 122, 148, 176, 188, 220, 232, 40, 80, 78, 51, 10, 74,
+  167, 151, 96, 115, 30, 0, 98, 68, 26, 184, 56, 130, 100, 159, 38, 65,
+  173, 69, 70, 146, 39, 94, 85, 47, 140, 163, 165, 125, 105, 213, 149, 59,
+  7, 88, 179, 64, 134, 172, 29, 247, 48, 55, 107, 228, 136, 217, 231, 137,
+  225, 27, 131, 73, 76, 63, 248, 254, 141, 83, 170, 144, 202, 216, 133, 97,
+  32, 113, 103, 164, 45, 43, 9, 91, 203, 155, 37, 208, 190, 229, 108, 82,
+  89, 166, 116, 210, 230, 244, 180, 192, 209, 102, 175, 194, 57, 75, 99, 182,
+]);
+
+// Rows of matrix of linear transformation l (section 6.3), A[0] is multiplied by most significant bit
+// prettier-ignore
+const A = [
+  '8e20faa72ba0b470', '47107ddd9b505a38', 'ad08b0e0c3282d1c', 'd8045870ef14980e',
+  '6c022c38f90a4c07', '3601161cf205268d', '1b8e0b0e798c13c8', '83478b07b2468764',
+  'a011d380818e8f40', '5086e740ce47c920', '2843fd2067adea10', '14aff010bdd87508',
+  '0ad97808d06cb404', '05e23c0468365a02', '8c711e02341b2d01', '46b60f011a83988e',
+  '90dab52a387ae76f', '486dd4151c3dfdb9', '24b86a840e90f0d2', '125c354207487869',
+  '092e94218d243cba', '8a174a9ec8121e5d', '4585254f64090fa0', 'accc9ca9328a8950',
+  '9d4df05d5f661451', 'c0a878a0a1330aa6', '60543c50de970553', '302a1e286fc58ca7',
+  '18150f14b9ec46dd', '0c84890ad27623e0', '0642ca05693b9f70', '0321658cba93c138',
+  '86275df09ce8aaa8', '439da0784e745554', 'afc0503c273aa42a', 'd960281e9d1d5215',
+  'e230140fc0802984', '71180a8960409a42', 'b60c05ca30204d21', '5b068c651810a89e',
+  '456c34887a3805b9', 'ac361a443d1c8cd2', '561b0d22900e4669', '2b838811480723ba',
+  '9bcf4486248d9f5d', 'c3e9224312c8c1a0', 'effa11af0964ee50', 'f97d86d98a327728',
+  'e4fa2054a80b329c', '727d102a548b194e', '39b008152acb8227', '9258048415eb419d',
+  '492c024284fbaec0', 'aa16012142f35760', '550b8e9e21f7a530', 'a48b474f9ef5dc18',
+  '70a6a56e2440598e', '3853dc371220a247', '1ca76e95091051ad', '0edd37c48a08a6d8',
+  '07e095624504536c', '8d70c431ac02a736', 'c83862965601dd1b', '641c314b2b8ee083',
+];
+
+// Round constants of key schedule (section 6.6), big-endian hex as in specification
+// prettier-ignore
+const C = /* @__PURE__ */ [
+  'b1085bda1ecadae9ebcb2f81c0657c1f2f6a76432e45d016714eb88d7585c4fc4b7ce09192676901a2422a08a460d31505767436cc744d23dd806559f2a64507',
+  '6fa3b58aa99d2f1a4fe39d460f70b5d7f3feea720a232b9861d55e0f16b501319ab5176b12d699585cb561c2db0aa7ca55dda21bd7cbcd56e679047021b19bb7',
+  'f574dcac2bce2fc70a39fc286a3d843506f15e5f529c1f8bf2ea7514b1297b7bd3e20fe490359eb1c1c93a376062db09c2b6f443867adb31991e96f50aba0ab2',
+  'ef1fdfb3e81566d2f948e1a05d71e4dd488e857e335c3c7d9d721cad685e353fa9d72c82ed03d675d8b71333935203be3453eaa193e837f1220cbebc84e3d12e',
+  '4bea6bacad4747999a3f410c6ca923637f151c1f1686104a359e35d7800fffbdbfcd1747253af5a3dfff00b723271a167a56a27ea9ea63f5601758fd7c6cfe57',
+  'ae4faeae1d3ad3d96fa4c33b7a3039c02d66c4f95142a46c187f9ab49af08ec6cffaa6b71c9ab7b40af21f66c2bec6b6bf71c57236904f35fa68407a46647d6e',
+  'f4c70e16eeaac5ec51ac86febf240954399ec6c7e6bf87c9d3473e33197a93c90992abc52d822c3706476983284a05043517454ca23c4af38886564d3a14d493',
+  '9b1f5b424d93c9a703e7aa020c6e41414eb7f8719c36de1e89b4443b4ddbc49af4892bcb929b069069d18d2bd1a5c42f36acc2355951a8d9a47f0dd4bf02e71e',
+  '378f5a541631229b944c9ad8ec165fde3a7d3a1b258942243cd955b7e00d0984800a440bdbb2ceb17b2b8a9aa6079c540e38dc92cb1f2a607261445183235adb',
+  'abbedea680056f52382ae548b2e4f3f38941e71cff8a78db1fffe18a1b3361039fe76702af69334b7a1e6c303b7652f43698fad1153bb6c374b4c7fb98459ced',
+  '7bcd9ed0efc889fb3002c6cd635afe94d8fa6bbbebab076120018021148466798a1d71efea48b9caefbacd1d7d476e98dea2594ac06fd85d6bcaa4cd81f32d1b',
+  '378ee767f11631bad21380b00449b17acda43c32bcdf1d77f82012d430219f9b5d80ef9d1891cc86e71da4aa88e12852faf417d5d9b21b9948bc924af11bd720',
+].map((c) => u32(hexToBytes(c).reverse()));
+
+// LPS = L(P(S(x))): byte substitution, byte transposition and linear transformation.
+// All three are merged into tables: T[b][v] is contribution of byte v at row b of 8x8 byte matrix.
+// Transposition makes byte 8 * b + w of input go to word w of output, as its b-th byte.
+// Stored as [low, high] pairs of u32
+const LPS_T = /* @__PURE__ */ (() => {
+  const Ah = A.map((a) => parseInt(a.slice(0, 8), 16));
+  const Al = A.map((a) => parseInt(a.slice(8), 16));
+  const T = new Uint32Array(8 * 256 * 2);
+  for (let b = 0; b < 8; b++) {
+    for (let v = 0; v < 256; v++) {
+      const s = PI[v];
+      let lo = 0;
+      let hi = 0;
+      for (let t = 0; t < 8; t++) {
+        if (!((s >>> t) & 1)) continue;
+        lo ^= Al[63 - 8 * b - t];
+        hi ^= Ah[63 - 8 * b - t];
+      }
+      T[2 * (256 * b + v)] = lo;
+      T[2 * (256 * b + v) + 1] = hi;
+    }
+  }
+  return T;
+})();
+
+// Temporary buffers, not used to store anything between runs
+const TMP = /* @__PURE__ */ new Uint32Array(16);
+const TMP8 = /* @__PURE__ */ u8(TMP);
+const K = /* @__PURE__ */ new Uint32Array(16);
+const S = /* @__PURE__ */ new Uint32Array(16);
+const ZERO = /* @__PURE__ */ new Uint32Array(16);
+
+// out = LPS(a ^ b), out can be same as a or b
+function xorLPS(a: Uint32Array, b: Uint32Array, out: Uint32Array) {
+  for (let i = 0; i < 16; i++) TMP[i] = a[i] ^ b[i];
+  for (let w = 0; w < 8; w++) {
+    let lo = 0;
+    let hi = 0;
+    for (let j = 0, pos = w; j < 8; j++, pos += 8) {
+      const idx = 2 * (256 * j + TMP8[pos]);
+      lo ^= LPS_T[idx];
+      hi ^= LPS_T[idx + 1];
+    }
+    out[2 * w] = lo;
+    out[2 * w + 1] = hi;
+  }
+}
+
+// Compression function g_N(h, m) = E(LPS(h ^ N), m) ^ h ^ m, where E is 12 rounds of LPSX
+function compress(h: Uint32Array, N: Uint32Array, m: Uint32Array) {
+  xorLPS(h, N, K);
+  S.set(m);
+  for (let i = 0; i < 12; i++) {
+    xorLPS(K, S, S);
+    xorLPS(K, C[i], K);
+  }
+  for (let i = 0; i < 16; i++) h[i] ^= K[i] ^ S[i] ^ m[i];
+}
+
+// a = (a + b) mod 2^512
+function add512(a: Uint32Array, b: Uint32Array) {
+  let carry = 0;
+  for (let i = 0; i < 16; i++) {
+    const sum = a[i] + b[i] + carry;
+    a[i] = sum;
+    carry = sum > 0xffffffff ? 1 : 0;
+  }
+}
+// a = (a + n) mod 2^512, for small n
+function addSmall(a: Uint32Array, n: number) {
+  for (let i = 0; i < 16 && n; i++) {
+    const sum = a[i] + n;
+    a[i] = sum;
+    n = sum > 0xffffffff ? 1 : 0;
+  }
+}
+
+class Streebog extends Hash<Streebog> {
+  readonly blockLen = 64;
+  private buffer = new Uint8Array(64);
+  private buffer32 = u32(this.buffer);
+  private pos = 0;
+  private h = new Uint32Array(16);
+  private N = new Uint32Array(16); // Number of processed bits
+  private sigma = new Uint32Array(16); // Sum of message blocks
+  private finished = false;
+  private destroyed = false;
+
+  constructor(public outputLen: number) {
+    super();
+    // IV is 0x00 bytes for 512-bit output and 0x01 bytes for 256-bit output
+    if (outputLen === 32) this.h.fill(0x01010101);
+  }
+  private process(m: Uint32Array) {
+    compress(this.h, this.N, m);
+    addSmall(this.N, 512);
+    add512(this.sigma, m);
+  }
+  private roundClean() {
+    TMP.fill(0);
+    K.fill(0);
+    S.fill(0);
+  }
+  update(data: Input): this {
+    exists(this);
+    data = toBytes(data);
+    const { buffer } = this;
+    const len = data.length;
+    for (let pos = 0; pos < len; ) {
+      const take = Math.min(this.blockLen - this.pos, len - pos);
+      buffer.set(data.subarray(pos, pos + take), this.pos);
+      this.pos += take;
+      pos += take;
+      // Full block is processed right away: last partial block is always padded, even if empty
+      if (this.pos === this.blockLen) {
+        this.process(this.buffer32);
+        this.pos = 0;
+      }
+    }
+    this.roundClean();
+    return this;
+  }
+  digestInto(out: Uint8Array) {
+    exists(this);
+    output(out, this);
+    this.finished = true;
+    const { buffer, buffer32, pos, h, N, sigma } = this;
+    // Padding: 0x01 after data, then zeros
+    buffer[pos] = 0x01;
+    buffer.fill(0, pos + 1);
+    compress(h, N, buffer32);
+    addSmall(N, pos * 8);
+    add512(sigma, buffer32);
+    compress(h, ZERO, N);
+    compress(h, ZERO, sigma);
+    this.roundClean();
+    // 256-bit output is most significant half of state
+    const h8 = u8(h);
+    out.set(this.outputLen === 64 ? h8 : h8.subarray(32));
+  }
+  digest(): Uint8Array {
+    const res = new Uint8Array(this.outputLen);
+    this.digestInto(res);
+    this.destroy();
+    return res;
+  }
+  destroy() {
+    this.destroyed = true;
+    this.buffer.fill(0);
+    this.h.fill(0);
+    this.N.fill(0);
+    this.sigma.fill(0);
+  }
+  _cloneInto(to?: Streebog): Streebog {
+    to ||= new Streebog(this.outputLen);
+    to.outputLen = this.outputLen;
+    to.buffer.set(this.buffer);
+    to.pos = this.pos;
+    to.h.set(this.h);
+    to.N.set(this.N);
+    to.sigma.set(this.sigma);
+    to.finished = this.finished;
+    to.destroyed = this.destroyed;
+    return to;
+  }
+}
+
+/**
+ * Streebog-256 (GOST R 34.11-2012, RFC 6986) hash function
+ * @param message - data that would be hashed
+ */
+export const streebog256 = /* @__PURE__ */ wrapConstructor(() => new Streebog(32), {
+  // 1.2.643.7.1.1.2.2
+  oid: new Uint8Array([0x06, 0x08, 0x2a, 0x85, 0x03, 0x07, 0x01, 0x01, 0x02, 0x02]),
+});
+/**
+ * Streebog-512 (GOST R 34.11-2012, RFC 6986) hash function
+ * @param message - data that would be hashed
+ */
+export const streebog512 = /* @__PURE__ */ wrapConstructor(() => new Streebog(64), {
+  // 1.2.643.7.1.1.2.3
+  oid: new Uint8Array([0x06, 0x08, 0x2a, 0x85, 0x03, 0x07, 0x01, 0x01, 0x02, 0x03]),
+});
@@ -146,6 +146,16 @@ export function concatBytes(...arrays: Uint8Array[]): Uint8Array {
   return res;
 }
 
+/**
+ * Constant-time comparison of Uint8Arrays. Length is not secret.
+ */
+export function equalBytes(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
 // For runtime check if class implements interface
 export abstract class Hash<T extends Hash<T>> {
   abstract blockLen: number; // Bytes per block
@@ -199,13 +209,39 @@ export function checkOpts<T1 extends EmptyObj, T2 extends EmptyObj>(
 
 export type CHash = ReturnType<typeof wrapConstructor>;
 
-export function wrapConstructor<T extends Hash<T>>(hashCons: () => Hash<T>) {
+// Algorithm identifiers of hash function
+export type HashInfo = {
+  oid: Uint8Array; // DER encoded OID, with tag and length
+  openpgpId?: number; // OpenPGP hash algorithm ID (RFC 9580 section 9.5)
+};
+
+// DER encoded OID of NIST hash algorithm: 2.16.840.1.101.3.4.2.suffix
+export const oidNist = (suffix: number) =>
+  new Uint8Array([0x06, 0x09, 0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x02, suffix]);
+
+// DER encoded DigestInfo (RFC 8017 section 9.2) without digest:
+// SEQUENCE { SEQUENCE { oid, NULL }, OCTET STRING (outputLen bytes) }
+function digestInfoPrefix(oid: Uint8Array, outputLen: number) {
+  const algLen = oid.length + 2;
+  const res = new Uint8Array(2 + algLen + 2 + 2);
+  res.set([0x30, algLen + 4 + outputLen, 0x30, algLen]);
+  res.set(oid, 4);
+  res.set([0x05, 0x00, 0x04, outputLen], 4 + oid.length);
+  return res;
+}
+
+export function wrapConstructor<T extends Hash<T>>(hashCons: () => Hash<T>, info?: HashInfo) {
   const hashC = (msg: Input): Uint8Array => hashCons().update(toBytes(msg)).digest();
   const tmp = hashCons();
   hashC.outputLen = tmp.outputLen;
   hashC.blockLen = tmp.blockLen;
   hashC.create = () => hashCons();
-  return hashC;
+  // Only for hashes which have OID, optional to keep hashes without it compatible with CHash
+  if (info) {
+    const { oid, openpgpId } = info;
+    Object.assign(hashC, { oid, digestInfo: digestInfoPrefix(oid, tmp.outputLen), openpgpId });
+  }
+  return hashC as typeof hashC & { oid?: Uint8Array; digestInfo?: Uint8Array; openpgpId?: number };
 }
 
 export function wrapConstructorWithOpts<H extends Hash<H>, T extends Object>(
@@ -0,0 +1,182 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import {
+  argon2d,
+  argon2i,
+  argon2id,
+  argon2dAsync,
+  argon2iAsync,
+  argon2idAsync,
+} from '../esm/argon2.js';
+import { bytesToHex, TYPE_TEST } from './utils.js';
+
+const ARGON2 = {
+  argon2d: [argon2d, argon2dAsync],
+  argon2i: [argon2i, argon2iAsync],
+  argon2id: [argon2id, argon2idAsync],
+};
+
+// RFC 9106, section 5
+const RFC_OPTS = {
+  t: 3,
+  m: 32,
+  p: 4,
+  secret: new Uint8Array(8).fill(3),
+  ad: new Uint8Array(12).fill(4),
+};
+const RFC_PASSWORD = new Uint8Array(32).fill(1);
+const RFC_SALT = new Uint8Array(16).fill(2);
+const RFC_VECTORS = {
+  argon2d: '512b391b6f1162975371d30919734294f868e3be3984f3c1a13a4db9fabe4acb',
+  argon2i: 'c814d9d1dc7f37aa13f0d77f2494bda1c8de6b016dd388d29952a4c4672b6ce8',
+  argon2id: '0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659',
+};
+
+// Generated with hash-wasm: password='password', salt='somesaltsomesalt'
+// prettier-ignore
+const VECTORS = [
+  {
+    t: 1, m: 8, p: 1, dkLen: 32,
+    argon2d: '8f6b35da93486025c6a1c6361da620487040700d56c30b87eb870865781d3274',
+    argon2i: '59efc6812ec2fe9dc0241d5d5d90d9523ac17fb7dadbe76d499ceef05074c43a',
+    argon2id: '05b6ca8f8038b683887ad4916533858b49cb52040126c134f4c6e9d8711b8c09',
+  },
+  {
+    t: 2, m: 64, p: 2, dkLen: 16,
+    argon2d: '5cf8f8c2abbd1ad9ba629680d157930b',
+    argon2i: 'c0e095aa154607d458663381afa70ae5',
+    argon2id: '9371d00f868b816ba0881611d00620f7',
+  },
+  {
+    t: 1, m: 256, p: 1, dkLen: 64,
+    argon2d: '3f99d9c3492344b74aa3b908490ce51cedae94ac22c35c5a503926619edf4300d7274d065bf7a6126b10a041dc5733cfecb0a193d396cf3b81992efe09e5ca94',
+    argon2i: '0cbc544b1511312959596cd4083aeca9f49a964035a116f1e74c37c3e78f8844b679c4c708c4efcf9a7d99f79cdac6eacf08a0da940c3264f7ebd66c40c601ab',
+    argon2id: '61caa00cbe2e28f76b3137d38a6710314d3c54a3fa4a81719f5dbc60c9b19292006c71801b49671b3da3cec1bb3c82dd4f7eeac8f0962af1fe04d71d1241e3f9',
+  },
+  {
+    t: 3, m: 128, p: 3, dkLen: 65,
+    argon2d: '39b3ea74e1bde8c4b9266c98a32d9e84e180b831cca38532e893233d9e8dda0aec8ef36d65828ba0a6ac019349898ec3027e53049bee0e7c1473e998fe5313c059',
+    argon2i: '57ffe1724c6785d9c81bbbde757412ef8ac3ef00f17a3f146a87d28f93c7d2f84a01f9f7cd2b169f60f18315a6de23c99b191b828027faa65179a121d7e0e40fde',
+    argon2id: 'c4cc26c59abeb6f03c88b40cee4d7599f8db82d67cbabeae0459a7165afa51f98f5411bdaca04f82751940634d7c43253cbdbf88003d369385e0cb93aaa2a44d9b',
+  },
+  {
+    t: 2, m: 1024, p: 4, dkLen: 100,
+    argon2d: '402a30e30eb8fb3e95b41d435f8122edd3b466924fc1a55a00aa6e158b802877e4c3532949b13a3df82155b57085b409a9e2d46861f5a6022778803ae217f97754a5456c43550867dc24829e8044256b6934ea0a38c10e5085837b71ca9c4b87d642eaa9',
+    argon2i: '33ceee046ac6df1ee2589f3cbd6ddad3dcb0ceebf086cc1efd8cde6066088b162c4aebcc6753eb0ff636fd86f02161ed6ad6e2034c1a1ab8fff053fa224844adb233a85c9a53d5c27eb3fa7d18ee93e3ab36b3efdf3e7a4421854db72a8a6f630393f966',
+    argon2id: 'fc7e967692875ac0078bff521f79780f66a47ae39fe9f3ab167567718f6519b09ff8f0597dbdc30e0d142ef0afd4675a867d15e4ba9a5d0238e55f26591535f312dc99f2db1ee23ef885282dea3c555f9e8e38e51571267875ab1028d53db6850b9f5676',
+  },
+];
+
+should('Argon2: RFC 9106 vectors', async () => {
+  for (const name in ARGON2) {
+    const [fn, fnAsync] = ARGON2[name];
+    const exp = RFC_VECTORS[name];
+    assert.deepStrictEqual(bytesToHex(fn(RFC_PASSWORD, RFC_SALT, RFC_OPTS)), exp, name);
+    assert.deepStrictEqual(
+      bytesToHex(await fnAsync(RFC_PASSWORD, RFC_SALT, RFC_OPTS)),
+      exp,
+      `${name}Async`
+    );
+  }
+});
+
+should('Argon2: generated vectors', async () => {
+  for (const v of VECTORS) {
+    const { t, m, p, dkLen } = v;
+    for (const name in ARGON2) {
+      const [fn, fnAsync] = ARGON2[name];
+      const opts = { t, m, p, dkLen };
+      const msg = `${name}(${JSON.stringify(opts)})`;
+      assert.deepStrictEqual(bytesToHex(fn('password', 'somesaltsomesalt', opts)), v[name], msg);
+      const res = await fnAsync('password', 'somesaltsomesalt', { ...opts, asyncTick: 0 });
+      assert.deepStrictEqual(bytesToHex(res), v[name], `${msg} async`);
+    }
+  }
+});
+
+should('Argon2: secret and ad', () => {
+  const opts = { t: 1, m: 8, p: 1 };
+  const base = argon2id('password', 'somesalt', opts);
+  const withSecret = argon2id('password', 'somesalt', { ...opts, secret: 'secret' });
+  const withAd = argon2id('password', 'somesalt', { ...opts, ad: 'secret' });
+  assert.notDeepStrictEqual(base, withSecret);
+  assert.notDeepStrictEqual(base, withAd);
+  assert.notDeepStrictEqual(withSecret, withAd);
+  // Empty values are same as missing
+  assert.deepStrictEqual(argon2id('password', 'somesalt', { ...opts, secret: '', ad: '' }), base);
+});
+
+should('Argon2: version', () => {
+  const opts = { t: 2, m: 16, p: 1 };
+  const v13 = argon2id('password', 'somesalt', opts);
+  assert.deepStrictEqual(argon2id('password', 'somesalt', { ...opts, version: 0x13 }), v13);
+  assert.notDeepStrictEqual(argon2id('password', 'somesalt', { ...opts, version: 0x10 }), v13);
+  assert.throws(() => argon2id('password', 'somesalt', { ...opts, version: 0x12 }));
+});
+
+should('Argon2: maxmem', async () => {
+  // m=1024 KiB uses 1MiB of memory
+  const opts = { t: 1, m: 1024, p: 1 };
+  assert.deepStrictEqual(argon2id('password', 'somesalt', { ...opts, maxmem: 2 ** 20 }).length, 32);
+  assert.throws(() => argon2id('password', 'somesalt', { ...opts, maxmem: 2 ** 20 - 1 }));
+  await assert.rejects(() => argon2idAsync('password', 'somesalt', { ...opts, maxmem: 2 ** 19 }));
+  // Default limit is 4GB
+  assert.throws(() => argon2id('password', 'somesalt', { t: 1, m: 2 ** 22 + 4, p: 1 }));
+});
+
+should('Argon2: onProgress', async () => {
+  const opts = { t: 2, m: 256, p: 2 };
+  const exp = argon2id('password', 'somesalt', opts);
+  for (const fn of [argon2id, argon2idAsync]) {
+    const progress = [];
+    const res = await fn('password', 'somesalt', { ...opts, onProgress: (p) => progress.push(p) });
+    assert.deepStrictEqual(res, exp);
+    assert.ok(progress.length > 0);
+    assert.deepStrictEqual(progress[progress.length - 1], 1);
+    for (let i = 1; i < progress.length; i++) assert.ok(progress[i] > progress[i - 1]);
+  }
+  assert.throws(() => argon2id('password', 'somesalt', { ...opts, onProgress: 1 }));
+});
+
+should('Argon2: yields control', async () => {
+  let ticks = 0;
+  let done = false;
+  const counter = (async () => {
+    while (!done) {
+      ticks++;
+      await null;
+    }
+  })();
+  await argon2idAsync('password', 'somesalt', { t: 1, m: 64, p: 1, asyncTick: 0 });
+  done = true;
+  await counter;
+  assert.ok(ticks > 0);
+});
+
+should('Argon2: input validation', async () => {
+  const opts = { t: 1, m: 8, p: 1 };
+  // Salt should be at least 8 bytes
+  assert.throws(() => argon2id('password', 'salt', opts));
+  // Memory should be at least 8*p KiB
+  assert.throws(() => argon2id('password', 'somesalt', { ...opts, m: 7 }));
+  assert.throws(() => argon2id('password', 'somesalt', { ...opts, m: 15, p: 2 }));
+  assert.throws(() => argon2id('password', 'somesalt', { ...opts, t: 0 }));
+  assert.throws(() => argon2id('password', 'somesalt', { ...opts, p: 0 }));
+  assert.throws(() => argon2id('password', 'somesalt', { ...opts, dkLen: 3 }));
+  for (const t of TYPE_TEST.int) {
+    for (const k of ['t', 'm', 'p', 'dkLen', 'version', 'asyncTick', 'maxmem']) {
+      assert.throws(() => argon2id('password', 'somesalt', { ...opts, [k]: t }), `${k}=${t}`);
+      await assert.rejects(
+        () => argon2idAsync('password', 'somesalt', { ...opts, [k]: t }),
+        `${k}=${t}`
+      );
+    }
+  }
+  for (const t of TYPE_TEST.bytes) {
+    assert.throws(() => argon2id(t, 'somesalt', opts), `password=${t}`);
+    assert.throws(() => argon2id('password', t, opts), `salt=${t}`);
+    assert.throws(() => argon2id('password', 'somesalt', { ...opts, secret: t }), `secret=${t}`);
+    assert.throws(() => argon2id('password', 'somesalt', { ...opts, ad: t }), `ad=${t}`);
+  }
+  for (const t of TYPE_TEST.opts) assert.throws(() => argon2id('password', 'somesalt', t));
+});
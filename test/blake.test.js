@@ -0,0 +1,172 @@
+import assert from 'assert';
+import { readFileSync } from 'fs';
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { should } from 'micro-should';
+import { blake2b } from '../esm/blake2b.js';
+import { blake2s } from '../esm/blake2s.js';
+import { blake3 } from '../esm/blake3.js';
+import { hexToBytes, bytesToHex, utf8ToBytes, TYPE_TEST } from './utils.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const readJSON = (path) => JSON.parse(readFileSync(`${__dirname}/${path}`, 'utf8'));
+
+// Official vectors: https://github.com/BLAKE2/BLAKE2/tree/master/testvectors
+const BLAKE2_KAT = readJSON('vectors/blake2-kat.json');
+// Generated with vectors/blake2-gen.py (python hashlib)
+const BLAKE2_PYTHON = readJSON('vectors/blake2-python.json');
+// Official vectors: https://github.com/BLAKE3-team/BLAKE3/blob/master/test_vectors/test_vectors.json
+const BLAKE3_VECTORS = readJSON('vectors/blake3.json');
+
+const HASHES = { blake2b, blake2s };
+
+should('Blake2 KAT vectors', () => {
+  for (const v of BLAKE2_KAT) {
+    const hash = HASHES[v.hash];
+    // blake2bp, blake2sp, blake2xb, blake2xs are not implemented
+    if (!hash) continue;
+    const opts = { key: v.key ? hexToBytes(v.key) : undefined };
+    assert.deepStrictEqual(bytesToHex(hash(hexToBytes(v.in), opts)), v.out, `${v.hash}(${v.in})`);
+    // Streaming: split input in two parts
+    const input = hexToBytes(v.in);
+    const half = input.length >> 1;
+    const res = hash
+      .create(opts)
+      .update(input.subarray(0, half))
+      .update(input.subarray(half))
+      .digest();
+    assert.deepStrictEqual(bytesToHex(res), v.out, `${v.hash}(${v.in}) partial`);
+  }
+});
+
+should('Blake2 python vectors (dkLen, key, salt, personalization)', () => {
+  for (const v of BLAKE2_PYTHON) {
+    const hash = HASHES[v.hash];
+    const opts = {
+      dkLen: v.dkLen,
+      key: v.key ? hexToBytes(v.key) : undefined,
+      salt: v.salt ? hexToBytes(v.salt) : undefined,
+      personalization: v.person ? hexToBytes(v.person) : undefined,
+    };
+    assert.deepStrictEqual(bytesToHex(hash('data', opts)), v.digest, JSON.stringify(v));
+  }
+});
+
+should('Blake2 input validation', () => {
+  // blake2b: key up to 64 bytes, salt/personalization exactly 16 bytes
+  assert.throws(() => blake2b('abc', { dkLen: 65 }));
+  assert.throws(() => blake2b('abc', { key: new Uint8Array(65) }));
+  assert.throws(() => blake2b('abc', { key: new Uint8Array(0) }));
+  assert.throws(() => blake2b('abc', { salt: new Uint8Array(8) }));
+  assert.throws(() => blake2b('abc', { personalization: new Uint8Array(8) }));
+  // blake2s: key up to 32 bytes, salt/personalization exactly 8 bytes
+  assert.throws(() => blake2s('abc', { dkLen: 33 }));
+  assert.throws(() => blake2s('abc', { key: new Uint8Array(33) }));
+  assert.throws(() => blake2s('abc', { salt: new Uint8Array(16) }));
+  assert.throws(() => blake2s('abc', { personalization: new Uint8Array(16) }));
+  for (const t of TYPE_TEST.int) {
+    assert.throws(() => blake2b('abc', { dkLen: t }), `blake2b(dkLen=${t})`);
+    assert.throws(() => blake2s('abc', { dkLen: t }), `blake2s(dkLen=${t})`);
+  }
+});
+
+should('Blake2 string options are utf8 encoded', () => {
+  assert.deepStrictEqual(
+    blake2s('abc', { key: 'key', salt: 'saltsalt', personalization: 'perspers' }),
+    blake2s('abc', {
+      key: utf8ToBytes('key'),
+      salt: utf8ToBytes('saltsalt'),
+      personalization: utf8ToBytes('perspers'),
+    })
+  );
+  // Non-ASCII: lengths are in bytes, not in UTF-16 code units
+  assert.deepStrictEqual(
+    blake2s('abc', { key: 'ключ', salt: 'соль' }),
+    blake2s('abc', { key: utf8ToBytes('ключ'), salt: utf8ToBytes('соль') })
+  );
+  assert.deepStrictEqual(
+    blake2b('abc', { key: 'ключ', personalization: 'персонал' }),
+    blake2b('abc', { key: utf8ToBytes('ключ'), personalization: utf8ToBytes('персонал') })
+  );
+  // 20 chars, but 40 bytes: too long for blake2s key
+  assert.throws(() => blake2s('abc', { key: 'я'.repeat(20) }));
+  assert.doesNotThrow(() => blake2s('abc', { key: 'я'.repeat(16) }));
+  // 4 chars, 8 bytes: valid salt, 8 chars is too long
+  assert.throws(() => blake2s('abc', { salt: 'солька!!' }));
+});
+
+should('Blake2 unaligned salt and personalization', () => {
+  const buf = new Uint8Array(64).map((_, i) => i);
+  for (const [hash, len] of [
+    [blake2s, 8],
+    [blake2b, 16],
+  ]) {
+    for (let offset = 0; offset < 4; offset++) {
+      const salt = buf.subarray(offset, offset + len);
+      const personalization = buf.subarray(offset + 1, offset + 1 + len);
+      const exp = hash('abc', { salt: salt.slice(), personalization: personalization.slice() });
+      assert.deepStrictEqual(hash('abc', { salt, personalization }), exp, `offset=${offset}`);
+    }
+  }
+});
+
+// Input is filled with a repeating sequence of 251 bytes
+const blake3Input = (len) => Uint8Array.from({ length: len }, (_, i) => i % 251);
+
+should('Blake3 vectors', () => {
+  const { key, context_string: context } = BLAKE3_VECTORS;
+  for (const v of BLAKE3_VECTORS.cases) {
+    const input = blake3Input(v.input_len);
+    const modes = [
+      ['hash', {}],
+      ['keyed_hash', { key }],
+      ['derive_key', { context }],
+    ];
+    for (const [mode, opts] of modes) {
+      const exp = v[mode];
+      const dkLen = exp.length / 2;
+      assert.deepStrictEqual(
+        bytesToHex(blake3(input, { ...opts, dkLen })),
+        exp,
+        `${mode}(${v.input_len})`
+      );
+      // Default output length is prefix of extended output
+      assert.deepStrictEqual(bytesToHex(blake3(input, opts)), exp.slice(0, 64));
+      // XOF: read output in small chunks
+      const h = blake3.create(opts).update(input);
+      let out = '';
+      for (let i = 0; i < dkLen; i += 7) out += bytesToHex(h.xof(Math.min(7, dkLen - i)));
+      assert.deepStrictEqual(out, exp, `${mode}(${v.input_len}) xof`);
+    }
+  }
+});
+
+should('Blake3 XOF seek', () => {
+  const h = blake3.create({ context: 'seek test' }).update('abc');
+  const full = h.clone().xof(1024);
+  for (const pos of [0, 1, 31, 63, 64, 65, 128, 500, 1000]) {
+    const len = 1024 - pos;
+    assert.deepStrictEqual(h.clone().seek(pos).xof(len), full.subarray(pos), `seek(${pos})`);
+  }
+  // Seek backwards after reading
+  const tmp = h.clone();
+  tmp.xof(300);
+  assert.deepStrictEqual(tmp.seek(10).xof(100), full.subarray(10, 110));
+  // Seek far away: output block counter is bigger than 32 bits
+  const far = 2 ** 40 + 3;
+  const farBlock = h
+    .clone()
+    .seek(far - 3)
+    .xof(64);
+  assert.deepStrictEqual(h.clone().seek(far).xof(61), farBlock.subarray(3));
+  assert.throws(() => h.clone().seek(-1));
+  const digested = blake3.create().update('abc');
+  digested.digest();
+  assert.throws(() => digested.seek(0));
+});
+
+should('Blake3 input validation', () => {
+  assert.throws(() => blake3('abc', { key: new Uint8Array(31) }));
+  assert.throws(() => blake3('abc', { key: new Uint8Array(32), context: 'abc' }));
+  for (const t of TYPE_TEST.int) assert.throws(() => blake3('abc', { dkLen: t }), `dkLen=${t}`);
+});
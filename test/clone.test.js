@@ -5,14 +5,28 @@ import { sha512 } from '../esm/sha512.js';
 import { hmac } from '../esm/hmac.js';
 import { sha3_256, shake256 } from '../esm/sha3.js';
 import { k12, kmac256 } from '../esm/sha3-addons.js';
-import { ripemd160 } from '../esm/ripemd160.js';
+import { ripemd128, ripemd160, ripemd256, ripemd320 } from '../esm/ripemd160.js';
+import { md4, md5 } from '../esm/legacy.js';
+import { sm3 } from '../esm/sm3.js';
+import { streebog256, streebog512 } from '../esm/streebog.js';
+import { blake2b } from '../esm/blake2b.js';
+import { blake2s } from '../esm/blake2s.js';
+import { blake3 } from '../esm/blake3.js';
 
 // small -- minimal personalization options, big -- all personalization options
 // test that clone works correctly if "to" is same class instance but with completely different personalization
 const HASHES = {
   sha256: { small: () => sha256.create() },
   sha512: { small: () => sha512.create() },
+  ripemd128: { small: () => ripemd128.create() },
   ripemd160: { small: () => ripemd160.create() },
+  ripemd256: { small: () => ripemd256.create() },
+  ripemd320: { small: () => ripemd320.create() },
+  md4: { small: () => md4.create() },
+  md5: { small: () => md5.create() },
+  sm3: { small: () => sm3.create() },
+  streebog256: { small: () => streebog256.create() },
+  streebog512: { small: () => streebog512.create() },
   sha3: { small: () => sha3_256.create() },
   shake256: {
     small: () => shake256.create(),
@@ -41,33 +55,33 @@ const HASHES = {
         dkLen: 256,
       }),
   },
-  // blake2s: {
-  //   small: () => blake2s.create(),
-  //   big: () =>
-  //     blake2s.create({
-  //       key: new Uint8Array([11, 22, 33]),
-  //       salt: new Uint8Array([14, 15, 16, 17, 18, 19, 155, 144]),
-  //       personalization: new Uint8Array([24, 25, 26, 27, 28, 29, 255, 244]),
-  //       dkLen: 12,
-  //     }),
-  // },
-  // blake2b: {
-  //   small: () => blake2b.create(),
-  //   big: () =>
-  //     blake2b.create({
-  //       key: new Uint8Array([11, 22, 33]),
-  //       salt: new Uint8Array([14, 15, 16, 17, 18, 19, 155, 144, 144, 155, 19, 18, 17, 16, 15, 14]),
-  //       personalization: new Uint8Array([
-  //         24, 25, 26, 27, 28, 29, 255, 244, 244, 255, 29, 28, 27, 26, 25, 24,
-  //       ]),
-  //       dkLen: 12,
-  //     }),
-  // },
-  // blake3: {
-  //   small: () => blake3.create(),
-  //   // derive has different IV
-  //   big: () => blake3.create({ context: 'someContext', dkLen: 256 }),
-  // },
+  blake2s: {
+    small: () => blake2s.create(),
+    big: () =>
+      blake2s.create({
+        key: new Uint8Array([11, 22, 33]),
+        salt: new Uint8Array([14, 15, 16, 17, 18, 19, 155, 144]),
+        personalization: new Uint8Array([24, 25, 26, 27, 28, 29, 255, 244]),
+        dkLen: 12,
+      }),
+  },
+  blake2b: {
+    small: () => blake2b.create(),
+    big: () =>
+      blake2b.create({
+        key: new Uint8Array([11, 22, 33]),
+        salt: new Uint8Array([14, 15, 16, 17, 18, 19, 155, 144, 144, 155, 19, 18, 17, 16, 15, 14]),
+        personalization: new Uint8Array([
+          24, 25, 26, 27, 28, 29, 255, 244, 244, 255, 29, 28, 27, 26, 25, 24,
+        ]),
+        dkLen: 12,
+      }),
+  },
+  blake3: {
+    small: () => blake3.create(),
+    // derive has different IV
+    big: () => blake3.create({ context: 'someContext', dkLen: 256 }),
+  },
 };
 
 for (let k in HASHES) {
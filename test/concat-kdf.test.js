@@ -0,0 +1,139 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import { concatKdf, concatKdfKmac, x963Kdf } from '../esm/concat-kdf.js';
+import { kmac128, kmac256 } from '../esm/sha3-addons.js';
+import { sha1 } from '../esm/sha1.js';
+import { sha256 } from '../esm/sha256.js';
+import { sha384, sha512 } from '../esm/sha512.js';
+import { sha3_256 } from '../esm/sha3.js';
+import { bytesToHex, concatBytes, hexToBytes, TYPE_TEST } from './utils.js';
+
+const Z = hexToBytes('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+const INFO = hexToBytes('a1b2c3d4e5');
+
+// Generated with OpenSSL 3 SSKDF and X963KDF
+const VECTORS = [
+  {
+    hash: sha3_256,
+    length: 100,
+    concat:
+      '081c160c24fa453c2437207e6e0369fa34629ad8c207554a32299278a6b92ce38bd2e89c44f8f9fad308a51b21ff0596' +
+      '83839e086eddb62a22abd99416db64fd30e0a39f6509f630f437798e0bbd6028bcf817439fefe83059db99718457ac01' +
+      '93a63382',
+    x963:
+      '659b4dd7b59b2daa69d8e67efb21b364ef2f2578c8b461f5f5aeeff1f3d5004781c675e5af3f4d70487c974c104b727e' +
+      '61f4dd9abed47245d7f5108e8903987ef07981cbafa55d5b29f2153fd62558c517f892c26c88e5990928cd88dcbc9b94' +
+      'fd115098',
+  },
+  {
+    hash: sha1,
+    length: 50,
+    concat:
+      '84075ea9e27575af5ff30cd03e0431bcfc3e6ea99ba920d8ae73c2e2a7d00290d05bf4fe0168dfa10c6a79ffb309518c829f',
+    x963: '1f00039726fd723a2b20dfde23ee6fae22e6c4e9a19aaa9a8d2eb4f189f9def22de47da4c7855c26065116692dc3b4446228',
+  },
+  {
+    hash: sha256,
+    length: 32,
+    concat: '55b48fb1cb9e9ff8bddc2746d76eee997cf2ba11120eefd5fa856771d5475829',
+    x963: '9ce57c663781140c938591f00cebd0328462678f237661638170a3268e846f93',
+  },
+  {
+    hash: sha256,
+    length: 100,
+    concat:
+      '55b48fb1cb9e9ff8bddc2746d76eee997cf2ba11120eefd5fa856771d5475829236b64f567da44babde224c772313a02e07e266eead7c1795435b056f3bf8ec9a04e990c1a38ef07852eeba475db38d5e833db30cee0d87c9cb63de221c6f86ff412e502',
+    x963: '9ce57c663781140c938591f00cebd0328462678f237661638170a3268e846f93ccf9e17228f69bc314e0b735e6aca7259db9c596ec68f827ac31a205861141a66927c0f2c3eca02227029fdc57327b24051a4d40d7533ff500550371892da53af496d1b3',
+  },
+  {
+    hash: sha384,
+    length: 60,
+    concat:
+      '7ade74f9fa4c5059884575f82ed1dc821ed6ff2724ebdd6989e4bfbe4f77499d834892985a81e952cc36b7ad6f7f5180db6df0a7fd6f21fb80aef606',
+    x963: '992335cb68fdc361002ddd18b628c5c9bc377db6b14ae550ce8231e0af6e17175c6127dd40908ea858da7875f8650c5cec4fbe275f8694a487342798',
+  },
+  {
+    hash: sha512,
+    length: 130,
+    concat:
+      '937d9ca80c5375795d103bcb33d1ed1a1b284f33133454fbedca4e70bf492d7aa27aff1601601b2ac3336a76500001b908e579d102b54a82b53b65229fb93bb21468eec01ba440dd45a5578aa1d37699a1739158831820de664d1b54db0d1d1e377d84e3a5ea589a2c2231bae25292ffddf23b8027dab8d2a516d2a3c2533f614565',
+    x963: 'ad52044b2947f295e2291eb0879c11bb0cba9d3c0870f03ae3e72360d04ea86093d8759d304710d383bd7117826d977cb605686a1edcd0edaf837e360d9efd3892ace417a1e411f056edcc2192129f3e90dbc683c552467357462503018d10c4b43d04ceb4b62590f579ce0f1eec76203e07b0f6b7db5947cdfd506f51ff272f55de',
+  },
+];
+
+should('Concat KDF: OpenSSL vectors', () => {
+  for (const { hash, length, concat } of VECTORS)
+    assert.deepStrictEqual(bytesToHex(concatKdf(hash, Z, INFO, length)), concat);
+});
+
+should('Concat KDF: definition', () => {
+  const exp = concatBytes(
+    sha256(concatBytes(new Uint8Array([0, 0, 0, 1]), Z, INFO)),
+    sha256(concatBytes(new Uint8Array([0, 0, 0, 2]), Z, INFO))
+  );
+  assert.deepStrictEqual(concatKdf(sha256, Z, INFO, 64), exp);
+  assert.deepStrictEqual(concatKdf(sha256, Z, INFO, 33), exp.subarray(0, 33));
+  assert.deepStrictEqual(concatKdf(sha256, Z, INFO, 0), new Uint8Array());
+  // Sponge hash with long output: each block is exactly one digest
+  const long = concatKdf(sha3_256, Z, INFO, 32 * 1024);
+  for (const i of [1, 2, 513, 1024]) {
+    const block = sha3_256(concatBytes(new Uint8Array([0, 0, i >>> 8, i & 0xff]), Z, INFO));
+    assert.deepStrictEqual(long.subarray((i - 1) * 32, i * 32), block, `block=${i}`);
+  }
+});
+
+should('X9.63 KDF: OpenSSL vectors', () => {
+  for (const { hash, length, x963 } of VECTORS)
+    assert.deepStrictEqual(bytesToHex(x963Kdf(hash, Z, INFO, length)), x963);
+  assert.deepStrictEqual(
+    bytesToHex(x963Kdf(sha256, Z, new Uint8Array(), 40)),
+    '04a6950a06d3e3308ad7d3606ef810eb124e3943404ca746a12c51c7bf7768390f8d842ac9cb6234'
+  );
+});
+
+// NIST CAVP ansx963_2001.rsp, first SHA-1 vector
+should('X9.63 KDF: CAVP vector', () => {
+  const z = hexToBytes('1c7d7b5f0597b03d06a018466ed1a93e30ed4b04dc64ccdd');
+  assert.deepStrictEqual(bytesToHex(x963Kdf(sha1, z, '', 16)), 'bf71dffd8f4d99223936beb46fee8ccc');
+});
+
+should('Concat KDF: KMAC', () => {
+  const salt = hexToBytes('0001020304050607');
+  const VEC = [
+    [kmac128, 32, undefined, '530e884b9d2f40deb2e07e65e5962d7ef0942cbfc499fc63b751290a26666fc5'],
+    [
+      kmac128,
+      100,
+      salt,
+      'd3d52e61a6b093f934e2ba31fe06f6375c608077afa36bff890981f21dd90e398cee5df3daf694e34bfdf99d23c6c3813ca1d97b87c954b55e373089bdd4055ee577673fcecd0206b07eee2cbed2dd7ca875be4ccd2dd0c8c58f30e628c82e47d055bf12',
+    ],
+    [
+      kmac256,
+      42,
+      undefined,
+      '1e222ccc7c2692fc6a1ae6196faa9250a8bf904852e3b1ab4fb7724285852050026571a498bebf917cde',
+    ],
+    [kmac256, 16, salt, '9981f88e0ce385cab3d03dae0002b782'],
+  ];
+  for (const [kmac, length, s, exp] of VEC)
+    assert.deepStrictEqual(bytesToHex(concatKdfKmac(kmac, Z, INFO, length, s)), exp);
+  // Default salt is zeros
+  assert.deepStrictEqual(
+    concatKdfKmac(kmac256, Z, INFO, 32),
+    concatKdfKmac(kmac256, Z, INFO, 32, new Uint8Array(132))
+  );
+  assert.throws(() => concatKdfKmac(sha256, Z, INFO, 32));
+});
+
+should('Concat KDF: errors', () => {
+  for (const fn of [concatKdf, x963Kdf]) {
+    for (const t of TYPE_TEST.int) assert.throws(() => fn(sha256, Z, INFO, t), `length=${t}`);
+    for (const t of TYPE_TEST.bytes) {
+      if (typeof t === 'string') continue;
+      assert.throws(() => fn(sha256, t, INFO, 32), `z=${t}`);
+      assert.throws(() => fn(sha256, Z, t, 32), `info=${t}`);
+    }
+    assert.throws(() => fn({}, Z, INFO, 32));
+  }
+  for (const t of TYPE_TEST.int) assert.throws(() => concatKdfKmac(kmac256, Z, INFO, t));
+});
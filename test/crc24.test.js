@@ -0,0 +1,50 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import { crc24 } from '../esm/crc24.js';
+import { bytesToHex, utf8ToBytes } from './utils.js';
+
+// Bitwise implementation from RFC 4880 section 6.1
+function crc24Ref(data) {
+  let crc = 0xb704ce;
+  for (const b of data) {
+    crc ^= b << 16;
+    for (let i = 0; i < 8; i++) {
+      crc <<= 1;
+      if (crc & 0x1000000) crc ^= 0x1864cfb;
+    }
+  }
+  crc &= 0xffffff;
+  return new Uint8Array([crc >>> 16, (crc >>> 8) & 0xff, crc & 0xff]);
+}
+
+should('crc24: check value', () => {
+  assert.deepStrictEqual(bytesToHex(crc24('123456789')), '21cf02');
+  assert.deepStrictEqual(bytesToHex(crc24(new Uint8Array())), 'b704ce');
+});
+
+should('crc24: armor checksum', () => {
+  // Armor checksum line is base64 of CRC, prefixed with '='
+  const sum = crc24(utf8ToBytes('abc'));
+  assert.deepStrictEqual('=' + Buffer.from(sum).toString('base64'), '=uhx7');
+});
+
+should('crc24: matches bitwise implementation', () => {
+  const buf = new Uint8Array(1031).map((_, i) => (i * 167 + 13) & 0xff);
+  for (let len = 0; len < buf.length; len += 3) {
+    const msg = buf.subarray(0, len);
+    assert.deepStrictEqual(crc24(msg), crc24Ref(msg), `len=${len}`);
+  }
+  // Unaligned subarray
+  for (let i = 0; i < 8; i++) {
+    const msg = buf.subarray(i, 100 + i);
+    assert.deepStrictEqual(crc24(msg), crc24Ref(msg), `offset=${i}`);
+  }
+});
+
+should('crc24: clone', () => {
+  const h = crc24.create().update('abc');
+  const c = h.clone();
+  assert.deepStrictEqual(c.update('def').digest(), crc24('abcdef'));
+  assert.deepStrictEqual(h.digest(), crc24('abc'));
+  assert.throws(() => h.clone().update('abc'));
+});
@@ -0,0 +1,176 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import { HashDRBG, HmacDRBG, hashDrbg, hmacDrbg } from '../esm/drbg.js';
+import { sha1 } from '../esm/sha1.js';
+import { sha256 } from '../esm/sha256.js';
+import { sha512 } from '../esm/sha512.js';
+import { bytesToHex, hexToBytes } from './utils.js';
+
+// Generated with OpenSSL 3 EVP_RAND (HMAC-DRBG, HASH-DRBG) over TEST-RAND entropy source:
+// instantiate, generate(100, ad[0]), reseed(reseedEntropy, ad[1]), generate(37, ad[2]), generate(64, ad[3])
+const VECTORS = [
+  {
+    drbg: HmacDRBG,
+    hash: sha256,
+    entropy: '8b9cadbecfe0f102122534475669788b99aebfccddf2031020374655647b8a99',
+    nonce: '0e1f30415263748597a6b9c8dbeafd0c',
+    personalization: '91a2b3c4d5e6f708182b3a4d5c6f7e91a3b0c1d6',
+    additional: ['1425364758697a', '97a8b9cadbecfd', '1a2b3c4d5e6f80', '9daebfd0e1f203'],
+    reseedEntropy: '2031425364758697a9b8cbdaedfc0f1e32435061768794a5bbcad9e8ff0e1d2c',
+    out: [
+      '000f8f98fe1fc6a8719375f8c1d74e859ccd6cb927b1a9edb8258f3dbd70ecd86915e24028a4a8e67d3e20d079bd328f654c09cb2842ca4e581dff5f32e2c9005f06053d2554d750973cb8172815af8b8be77dd593b3641b1407a04a6d27eaacd5cbf85d',
+      '367816b7a8a054329962ff226ca63b56686d4e9af19af209d9c4cb79e5830b41accea287f6',
+      '25e27af34917068c35cc93a677f769ba4a88d81c35e8b4b15e67f0619e0b78a70ff663ab8b03e4e526f43873b4ef0d163c5868d0e401b2666339a03dddb3478c',
+    ],
+  },
+  {
+    drbg: HmacDRBG,
+    hash: sha512,
+    entropy: '4b5c6d7e8fa0b1c2d2e5f4071629384b596e7f8c9db2c3d0e0f70615243b4a59',
+    nonce: 'cedff00112233445576679889baabdcc',
+    personalization: '5162738495a6b7c8d8ebfa0d1c2f3e5163708196',
+    additional: ['d4e5f60718293a', '5768798a9bacbd', 'daebfc0d1e2f40', '5d6e7f90a1b2c3'],
+    reseedEntropy: 'e0f102132435465769788b9aadbccfdef2031021364754657b8a99a8bfceddec',
+    out: [
+      'd4f90f1a0fb07b23b2bab297e6b2e7a5f9eb4336462e9aea3f4a3acb28432ee68440c1c09e517e4fb61a4556c06084dd4d5b95b022cecdb352e35f4f9e7540dc9bc34ad6756c6bb21b039a21eb3f1dc325dc0b55b52d6e540da74d33b05307519ac71f97',
+      'd091acc20918c8b4a8b3153ed4110c28b377afae964507fc54df508b75a259e5bfaacb07b9',
+      '9f28dfe3fdc1d9259a1d0ef93831e73258da259529fd5d1b7b46721a6e3b17209768e0f787a7a61f7acf507f219eb5bb87fd6ff9f4ef643de411d26824a3176c',
+    ],
+  },
+  {
+    drbg: HashDRBG,
+    hash: sha1,
+    entropy: 'c3d4e5f60718293a4a5d6c7f8ea1b0c3d1e6f704152a3b48586f7e8d9cb3c2d1',
+    nonce: '465768798a9bacbdcfdef10013223544',
+    personalization: '',
+    additional: ['', '', '', ''],
+    reseedEntropy: '58697a8b9cadbecfe1f00312253447566a7b8899aebfccddf302112037465564',
+    out: [
+      'b011fde3466cc49fe9b4b7502b36558c192114d72c5b153307272176f6c6312fc26c644b9dc2a68a85f99bb9aacffa9fc175824e9ea148866ed9af937b566365a4cc80f94b3e3e339db3965242263932652daf85a35fcad9db425fa554ecbc01472912de',
+      '7858bb81928826fd25fa3b4d1726b6b6f44b10deb6e11b11f336556b00d2e72d136de5affa',
+      '5c7736a7102d15764a9337a4755a0159a997e7e740ec4048e85907b36d8eb39d588aa8ef2ff44f54ce5ea1a13fbea22b877fab03a8be15223acb7225d969d4f7',
+    ],
+  },
+  {
+    drbg: HashDRBG,
+    hash: sha256,
+    entropy: 'cbdcedfe0f2031425265748796a9b8cbd9eeff0c1d32435060778695a4bbcad9',
+    nonce: '4e5f708192a3b4c5d7e6f9081b2a3d4c',
+    personalization: 'd1e2f30415263748586b7a8d9cafbed1e3f00116',
+    additional: ['5465768798a9ba', 'd7e8f90a1b2c3d', '5a6b7c8d9eafc0', 'ddeeff10213243'],
+    reseedEntropy: '60718293a4b5c6d7e9f80b1a2d3c4f5e728390a1b6c7d4e5fb0a19283f4e5d6c',
+    out: [
+      '344015f7f80e9a666e24481d57a6ff85828374ad13f15189583091dd659a10b51cd1111c25b964f8edf5212c33f62a54b866c713835a240638ce715e0ec6cc60d19f9afc9bfc76105cbd6b8b01e44e7af138b694cf6b171dfda170a12fa001c966995651',
+      '8a79733f9b4b10bcbd604a16e0723b6ddddc97796fc9543574d2d289d490aee3a2fa195315',
+      '37a7bd9f588cc83c3754a83858f998dc7dba93cdc4e1505fc87c810aec533c4866a342e8de5c99059be414b8665f7fbdb9c2eb0f9c407b75799837350adb71b7',
+    ],
+  },
+  {
+    drbg: HashDRBG,
+    hash: sha512,
+    entropy: '8b9cadbecfe0f102122534475669788b99aebfccddf2031020374655647b8a99',
+    nonce: '0e1f30415263748597a6b9c8dbeafd0c',
+    personalization: '91a2b3c4d5e6f708182b3a4d5c6f7e91a3b0c1d6',
+    additional: ['1425364758697a', '97a8b9cadbecfd', '1a2b3c4d5e6f80', '9daebfd0e1f203'],
+    reseedEntropy: '2031425364758697a9b8cbdaedfc0f1e32435061768794a5bbcad9e8ff0e1d2c',
+    out: [
+      '576d17df80db0a8b2643fa34cf14bd1c6052e9ee754423300a15832d02e4c9cd98c4cdd2881ef8d8d8441139fe0571fef9f14a5f0efd3bce1c8ddd0a679b031ade0c7ef44bf152c051539f52cc0a1f9e9c350ab2a92fc81b971594603bd6bd65103f8bdc',
+      '4974536d1bf71fe476cf086e1bdb05c0d99db0af32dd650c65bdb12cb8c5f62d0f75b5698a',
+      '8317a34373dfe74103d93b0c0799414a595c13a1e7870050eb7a57c3c451444e5e01278d3a43e8e034924c3cecbbd18f3a4552f1f75c89fe4891825b62ee63de',
+    ],
+  },
+];
+
+should('DRBG: OpenSSL vectors', () => {
+  for (const v of VECTORS) {
+    const ad = v.additional.map(hexToBytes);
+    const d = new v.drbg(v.hash, hexToBytes(v.entropy), {
+      nonce: hexToBytes(v.nonce),
+      personalization: hexToBytes(v.personalization),
+    });
+    const out = [bytesToHex(d.generate(100, ad[0]))];
+    d.reseed(hexToBytes(v.reseedEntropy), ad[1]);
+    out.push(bytesToHex(d.generate(37, ad[2])));
+    out.push(bytesToHex(d.generate(64, ad[3])));
+    assert.deepStrictEqual(out, v.out);
+  }
+});
+
+should('HMAC_DRBG: NIST CAVP vector', () => {
+  // HMAC_DRBG.rsp, SHA-256, no reseed, no additional input, COUNT = 0: second output
+  const d = hmacDrbg(
+    sha256,
+    hexToBytes('ca851911349384bffe89de1cbdc46e6831e44d34a4fb935ee285dd14b71a7488'),
+    { nonce: hexToBytes('659ba96c601dc69fc902940805ec0ca8') }
+  );
+  d.generate(128);
+  assert.deepStrictEqual(
+    bytesToHex(d.generate(128)),
+    'e528e9abf2dece54d47c7e75e5fe302149f817ea9fb4bee6f4199697d04d5b89d54fbb978a15b5c443c9ec21036d2460b6f73ebad0dc2aba6e624abf07745bc107694bb7547bb0995f70de25d6b29e2d3011bb19d27676c07162c8b5ccde0668961df86803482cb37ed6d5c0bb8d50cf1f50d476aa0458bdaba806f48be9dcb8'
+  );
+});
+
+should('HMAC_DRBG: RFC 6979 nonce', () => {
+  // RFC 6979 A.2.5: P-256, SHA-256, message 'sample'. First output is k, since it is below q
+  const x = hexToBytes('c9afa9d845ba75166b5c215767b1d6934e50c3db36e89b127b8a622b120f6721');
+  const d = hmacDrbg(sha256, x, { nonce: sha256('sample') });
+  assert.deepStrictEqual(
+    bytesToHex(d.generate(32)),
+    'a6e3c57dd01abe90086538398355dd4c3b17aa873382b0f24d6129493d8aad60'
+  );
+});
+
+should('DRBG: reseed interval', () => {
+  for (const create of [hmacDrbg, hashDrbg]) {
+    const d = create(sha256, new Uint8Array(32), { reseedInterval: 2 });
+    d.generate(16);
+    d.generate(16);
+    assert.throws(() => d.generate(16), /reseed required/);
+    d.reseed(new Uint8Array(32).fill(1));
+    d.generate(16);
+  }
+});
+
+should('DRBG: output is deterministic and split-independent', () => {
+  for (const create of [hmacDrbg, hashDrbg]) {
+    const a = create(sha512, 'entropy', { nonce: 'nonce' });
+    const b = create(sha512, 'entropy', { nonce: 'nonce' });
+    assert.deepStrictEqual(a.generate(200), b.generate(200));
+    // Every request updates state: results differ from one long request
+    const c = create(sha512, 'entropy', { nonce: 'nonce' });
+    assert.notDeepStrictEqual(bytesToHex(c.generate(100)), bytesToHex(a.generate(100)));
+  }
+});
+
+should('HMAC_DRBG: state is updated in place and cleared on destroy', () => {
+  const d = hmacDrbg(sha256, new Uint8Array(32).fill(1), { nonce: 'nonce' });
+  const { K, V } = d;
+  const before = bytesToHex(K) + bytesToHex(V);
+  d.generate(100, 'additional');
+  d.reseed(new Uint8Array(32).fill(2));
+  // Same arrays with new values: no copies of previous state are left behind
+  assert.strictEqual(d.K, K);
+  assert.strictEqual(d.V, V);
+  assert.notDeepStrictEqual(bytesToHex(K) + bytesToHex(V), before);
+  d.destroy();
+  assert.deepStrictEqual(K, new Uint8Array(32));
+  assert.deepStrictEqual(V, new Uint8Array(32));
+});
+
+should('DRBG: errors', () => {
+  for (const create of [hmacDrbg, hashDrbg]) {
+    assert.throws(() => create({}, new Uint8Array(32)));
+    assert.throws(() => create(sha256, 1));
+    for (const reseedInterval of [0, -1, 1.5, 2 ** 48 + 1, '1'])
+      assert.throws(() => create(sha256, new Uint8Array(32), { reseedInterval }));
+    const d = create(sha256, new Uint8Array(32));
+    assert.throws(() => d.generate(2 ** 16 + 1));
+    assert.throws(() => d.generate(-1));
+    assert.deepStrictEqual(d.generate(2 ** 16).length, 2 ** 16);
+    d.destroy();
+    assert.throws(() => d.generate(1));
+    assert.throws(() => d.reseed(new Uint8Array(32)));
+  }
+  assert.ok(hmacDrbg(sha1, new Uint8Array(20)) instanceof HmacDRBG);
+  assert.ok(hashDrbg(sha1, new Uint8Array(20)) instanceof HashDRBG);
+});
@@ -4,6 +4,10 @@ import { should } from 'micro-should';
 import { sha256 } from '../esm/sha256.js';
 import { sha512 } from '../esm/sha512.js';
 import { sha3_256, sha3_512 } from '../esm/sha3.js';
+import { blake2b } from '../esm/blake2b.js';
+import { blake2s } from '../esm/blake2s.js';
+import { hkdf } from '../esm/hkdf.js';
+import { pbkdf2, pbkdf2Async } from '../esm/pbkdf2.js';
 import { concatBytes } from './utils.js';
 // Random data, by using hash we trying to achieve uniform distribution of each byte values
 let start = new Uint8Array([1, 2, 3, 4, 5]);
@@ -2,7 +2,7 @@ import assert from 'assert';
 import { should } from 'micro-should';
 import crypto from 'crypto';
 import { sha224, sha256 } from '../esm/sha256.js';
-import { sha384, sha512, sha512_224, sha512_256 } from '../esm/sha512.js';
+import { sha384, sha512, sha512_224, sha512_256, sha512_t } from '../esm/sha512.js';
 import {
   sha3_224,
   sha3_256,
@@ -14,7 +14,15 @@ import {
 } from '../esm/sha3.js';
 import { k12 } from '../esm/sha3-addons.js';
 import { sha1 } from '../esm/sha1.js';
+import { sha1dc } from '../esm/sha1dc.js';
 import { ripemd160 } from '../esm/ripemd160.js';
+import { crc24 } from '../esm/crc24.js';
+import { md5 } from '../esm/legacy.js';
+import { sm3 } from '../esm/sm3.js';
+import { streebog256, streebog512 } from '../esm/streebog.js';
+import { blake2b } from '../esm/blake2b.js';
+import { blake2s } from '../esm/blake2s.js';
+import { blake3 } from '../esm/blake3.js';
 import { hmac } from '../esm/hmac.js';
 import {
   utf8ToBytes,
@@ -61,6 +69,34 @@ const HASHES = {
       '7789f0c9 ef7bfc40 d9331114 3dfbe69e 2017f592',
     ],
   },
+  // Same as SHA1 for inputs without collision attacks
+  SHA1DC: {
+    fn: sha1dc,
+    obj: sha1dc.create,
+    node: (buf) => Uint8Array.from(crypto.createHash('sha1').update(buf).digest()),
+    node_obj: () => crypto.createHash('sha1'),
+    nist: [
+      'a9993e36 4706816a ba3e2571 7850c26c 9cd0d89d',
+      'da39a3ee 5e6b4b0d 3255bfef 95601890 afd80709',
+      '84983e44 1c3bd26e baae4aa1 f95129e5 e54670f1',
+      'a49b2446 a02c645b f419f995 b6709125 3a04a259',
+      '34aa973c d4c4daa4 f61eeb2b dbad2731 6534016f',
+      '7789f0c9 ef7bfc40 d9331114 3dfbe69e 2017f592',
+    ],
+  },
+  MD5: {
+    fn: md5,
+    obj: md5.create,
+    node: (buf) => Uint8Array.from(crypto.createHash('md5').update(buf).digest()),
+    node_obj: () => crypto.createHash('md5'),
+    nist: [
+      '90015098 3cd24fb0 d6963f7d 28e17f72',
+      'd41d8cd9 8f00b204 e9800998 ecf8427e',
+      '8215ef07 96a20bca aae116d3 876c664a',
+      '03dd8807 a93175fb 062dfb55 dc7d359c',
+      '7707d6ae 4e027c70 eea2a935 c2296f21',
+    ],
+  },
   SHA224: {
     fn: sha224,
     obj: sha224.create,
@@ -161,6 +197,70 @@ const HASHES = {
       '9a59a052930187a97038cae692f30708aa6491923ef5194394dc68d56c74fb21',
     ],
   },
+  'SHA512_T(256)': {
+    fn: sha512_t(256),
+    obj: sha512_t(256).create,
+    node: (buf) => Uint8Array.from(crypto.createHash('sha512-256').update(buf).digest()),
+    node_obj: () => crypto.createHash('sha512-256'),
+    nist: [
+      '53048e2681941ef99b2e29b76b4c7dabe4c2d0c634fc6d46e0e2f13107e7af23',
+      'c672b8d1ef56ed28ab87c3622c5114069bdd3ad7b8f9737498d0c01ecef0967a',
+      'bde8e1f9f19bb9fd3406c90ec6bc47bd36d8ada9f11880dbc8a22a7078b6a461',
+      '3928e184fb8690f840da3988121d31be65cb9d3ef83ee6146feac861e19b563a',
+      '9a59a052930187a97038cae692f30708aa6491923ef5194394dc68d56c74fb21',
+    ],
+  },
+  'SHA512_T(200)': {
+    fn: sha512_t(200),
+    obj: sha512_t(200).create,
+    // There is no official vectors, so we created them with python implementation of FIPS 180-4 5.3.6
+    nist: [
+      '2c199c1b 8e934d61 6332dcfe a4d50a1d dbbb8eb2 5be46bdc 9d',
+      '241d34eb 0be2fbdc 0ccfbe2c 6973bffa a541b378 45c678ea 89',
+      '47e27efd 128ab2b4 502eb5f1 398cbe08 3a024142 dc79e4b0 06',
+      '273ae8e7 4cfb04fb 9630c097 7242ee95 cd49b44c c9a66dbb 8e',
+      '15938528 f82b9883 e2659f7b dd8b2598 e9eaa753 79fd23a5 29',
+    ],
+  },
+  SM3: {
+    fn: sm3,
+    obj: sm3.create,
+    node: (buf) => Uint8Array.from(crypto.createHash('sm3').update(buf).digest()),
+    node_obj: () => crypto.createHash('sm3'),
+    // 'abc' is from GB/T 32905-2016, others are generated via:
+    // > NIST_VECTORS.map((i) => hashlib.new('sm3', i[2]).hexdigest()) (python)
+    nist: [
+      '66c7f0f4 62eeedd9 d1f2d46b dc10e4e2 4167c487 5cf2f7a2 297da02b 8f4ba8e0',
+      '1ab21d83 55cfa17f 8e611948 31e81a8f 22bec8c7 28fefb74 7ed035eb 5082aa2b',
+      '639b6cc5 e64d9e37 a390b192 df4fa1ea 0720ab74 7ff692b9 f38c4e66 ad7b8c05',
+      '78bcfb58 6acd983d 7fae8e69 30157f15 62019e2c af68f1c9 8a855f1a 95bb89bb',
+      'c8aaf894 29554029 e231941a 2acc0ad6 1ff2a5ac d8fadd25 847a3a73 2b3b02c3',
+    ],
+  },
+  STREEBOG256: {
+    fn: streebog256,
+    obj: streebog256.create,
+    // There is no official vectors, so we created them with libgcrypt (gcry_md_hash_buffer, STRIBOG256)
+    nist: [
+      '4e2919cf137ed41ec4fb6270c61826cc4fffb660341e0af3688cd0626d23b481',
+      '3f539a213e97c802cc229d474c6aa32a825a360b2a933a949fd925208d9ce1bb',
+      '47440b6ca733f24c7b80dada8055796a2742cb729f92cb7fedf5188f5f3f1cfc',
+      'f8347c4720f6401ab97c7c89ca9654480a28859ae4047ad78903986ed85e0d3a',
+      '841af1a0b2f92a800fb1b7e4aabc8e48763153c448a0fc57c90ba830e130f152',
+    ],
+  },
+  STREEBOG512: {
+    fn: streebog512,
+    obj: streebog512.create,
+    // There is no official vectors, so we created them with libgcrypt (gcry_md_hash_buffer, STRIBOG512)
+    nist: [
+      '28156e28317da7c98f4fe2bed6b542d0dab85bb224445fcedaf75d46e26d7eb8d5997f3e0915dd6b7f0aab08d9c8beb0d8c64bae2ab8b3c8c6bc53b3bf0db728',
+      '8e945da209aa869f0455928529bcae4679e9873ab707b55315f56ceb98bef0a7362f715528356ee83cda5f2aac4c6ad2ba3a715c1bcd81cb8e9f90bf4c1c1a8a',
+      '859190f728250159b34a08b1d3262279a19668c571fc7a7e724c0910318fd4a251974e67592dbc96919d282de2da875488d59dc37a2876296f633f451a488e24',
+      '93d2536173be5dc1af1348a7b627e12cefb98603ce5ec7ea5f7fec77760970b2ad8bcfef9a1e1ce88b9a052251f831d3d411a75b34afd6f8938e9c9e5309035c',
+      'd396a40b126b1f324465bfa7aa159859ab33fac02dcdd4515ad231206396a266d0102367e4c544ef47d2294064e1a25342d0cd25ae3d904b45abb1425ae41095',
+    ],
+  },
   SHA3_224: {
     fn: sha3_224,
     obj: sha3_224.create,
@@ -280,57 +380,57 @@ const HASHES = {
   //     '3c7ded415bd33e955359fb9e9cfc376cf76fd1331d926030ac6926cf29b04621a8817e285cf387327e5922ef630096eed8a5187c3126a10df443deff3b6d8f49',
   //   ],
   // },
-  // BLAKE2s: {
-  //   fn: blake2s,
-  //   obj: blake2s.create,
-  //   node: (buf) => Uint8Array.from(crypto.createHash('blake2s256').update(buf).digest()),
-  //   node_obj: () => crypto.createHash('blake2s256'),
-  //   // There is no official vectors, so we created them via:
-  //   // > NIST_VECTORS.map((i) => crypto.createHash('blake2s256').update(i[2]).digest('hex'))
-  //   nist: [
-  //     '508c5e8c327c14e2e1a72ba34eeb452f37458b209ed63a294d999b4c86675982',
-  //     '69217a3079908094e11121d042354a7c1f55b6482ca1a51e1b250dfd1ed0eef9',
-  //     '6f4df5116a6f332edab1d9e10ee87df6557beab6259d7663f3bcd5722c13f189',
-  //     '358dd2ed0780d4054e76cb6f3a5bce2841e8e2f547431d4d09db21b66d941fc7',
-  //     'bec0c0e6cde5b67acb73b81f79a67a4079ae1c60dac9d2661af18e9f8b50dfa5',
-  //   ],
-  // },
-  // BLAKE2b: {
-  //   fn: blake2b,
-  //   obj: blake2b.create,
-  //   node: (buf) => Uint8Array.from(crypto.createHash('blake2b512').update(buf).digest()),
-  //   node_obj: () => crypto.createHash('blake2b512'),
-  //   // There is no official vectors, so we created them via:
-  //   // > NIST_VECTORS.map((i) => crypto.createHash('blake2b512').update(i[2]).digest('hex'))
-  //   nist: [
-  //     'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d17d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923',
-  //     '786a02f742015903c6c6fd852552d272912f4740e15847618a86e217f71f5419d25e1031afee585313896444934eb04b903a685b1448b755d56f701afe9be2ce',
-  //     '7285ff3e8bd768d69be62b3bf18765a325917fa9744ac2f582a20850bc2b1141ed1b3e4528595acc90772bdf2d37dc8a47130b44f33a02e8730e5ad8e166e888',
-  //     'ce741ac5930fe346811175c5227bb7bfcd47f42612fae46c0809514f9e0e3a11ee1773287147cdeaeedff50709aa716341fe65240f4ad6777d6bfaf9726e5e52',
-  //     '98fb3efb7206fd19ebf69b6f312cf7b64e3b94dbe1a17107913975a793f177e1d077609d7fba363cbba00d05f7aa4e4fa8715d6428104c0a75643b0ff3fd3eaf',
-  //   ],
-  // },
-  // BLAKE3: {
-  //   fn: blake3,
-  //   obj: blake3.create,
-  //   /*
-  //   Generated by:
-  //   JS: fs.writeFileSync('nist.json', JSON.stringify(require('./test/hashes.test.js').NIST_VECTORS.map(i=>Array.from(i[2]))))
-  //   PYTHON:
-  //   import json
-  //   import blake3
-  // 
-  //   for v in [bytes(i) for i in json.loads(open('./nist.json').read())]:
-  //       print('T', blake3.blake3(v).digest().hex())
-  //   */
-  //   nist: [
-  //     '6437b3ac38465133ffb63b75273a8db548c558465d79db03fd359c6cd5bd9d85',
-  //     'af1349b9f5f9a1a6a0404dea36dcc9499bcb25c9adc112b7cc9a93cae41f3262',
-  //     'c19012cc2aaf0dc3d8e5c45a1b79114d2df42abb2a410bf54be09e891af06ff8',
-  //     '553e1aa2a477cb3166e6ab38c12d59f6c5017f0885aaf079f217da00cfca363f',
-  //     '616f575a1b58d4c9797d4217b9730ae5e6eb319d76edef6549b46f4efe31ff8b',
-  //   ],
-  // },
+  BLAKE2s: {
+    fn: blake2s,
+    obj: blake2s.create,
+    node: (buf) => Uint8Array.from(crypto.createHash('blake2s256').update(buf).digest()),
+    node_obj: () => crypto.createHash('blake2s256'),
+    // There is no official vectors, so we created them via:
+    // > NIST_VECTORS.map((i) => crypto.createHash('blake2s256').update(i[2]).digest('hex'))
+    nist: [
+      '508c5e8c327c14e2e1a72ba34eeb452f37458b209ed63a294d999b4c86675982',
+      '69217a3079908094e11121d042354a7c1f55b6482ca1a51e1b250dfd1ed0eef9',
+      '6f4df5116a6f332edab1d9e10ee87df6557beab6259d7663f3bcd5722c13f189',
+      '358dd2ed0780d4054e76cb6f3a5bce2841e8e2f547431d4d09db21b66d941fc7',
+      'bec0c0e6cde5b67acb73b81f79a67a4079ae1c60dac9d2661af18e9f8b50dfa5',
+    ],
+  },
+  BLAKE2b: {
+    fn: blake2b,
+    obj: blake2b.create,
+    node: (buf) => Uint8Array.from(crypto.createHash('blake2b512').update(buf).digest()),
+    node_obj: () => crypto.createHash('blake2b512'),
+    // There is no official vectors, so we created them via:
+    // > NIST_VECTORS.map((i) => crypto.createHash('blake2b512').update(i[2]).digest('hex'))
+    nist: [
+      'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d17d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923',
+      '786a02f742015903c6c6fd852552d272912f4740e15847618a86e217f71f5419d25e1031afee585313896444934eb04b903a685b1448b755d56f701afe9be2ce',
+      '7285ff3e8bd768d69be62b3bf18765a325917fa9744ac2f582a20850bc2b1141ed1b3e4528595acc90772bdf2d37dc8a47130b44f33a02e8730e5ad8e166e888',
+      'ce741ac5930fe346811175c5227bb7bfcd47f42612fae46c0809514f9e0e3a11ee1773287147cdeaeedff50709aa716341fe65240f4ad6777d6bfaf9726e5e52',
+      '98fb3efb7206fd19ebf69b6f312cf7b64e3b94dbe1a17107913975a793f177e1d077609d7fba363cbba00d05f7aa4e4fa8715d6428104c0a75643b0ff3fd3eaf',
+    ],
+  },
+  BLAKE3: {
+    fn: blake3,
+    obj: blake3.create,
+    /*
+    Generated by:
+    JS: fs.writeFileSync('nist.json', JSON.stringify(require('./test/hashes.test.js').NIST_VECTORS.map(i=>Array.from(i[2]))))
+    PYTHON:
+    import json
+    import blake3
+
+    for v in [bytes(i) for i in json.loads(open('./nist.json').read())]:
+        print('T', blake3.blake3(v).digest().hex())
+    */
+    nist: [
+      '6437b3ac38465133ffb63b75273a8db548c558465d79db03fd359c6cd5bd9d85',
+      'af1349b9f5f9a1a6a0404dea36dcc9499bcb25c9adc112b7cc9a93cae41f3262',
+      'c19012cc2aaf0dc3d8e5c45a1b79114d2df42abb2a410bf54be09e891af06ff8',
+      '553e1aa2a477cb3166e6ab38c12d59f6c5017f0885aaf079f217da00cfca363f',
+      '616f575a1b58d4c9797d4217b9730ae5e6eb319d76edef6549b46f4efe31ff8b',
+    ],
+  },
   KECCAK256: {
     fn: keccak_256,
     obj: keccak_256.create,
@@ -361,6 +461,13 @@ const HASHES = {
       '52783243c1697bdbe16d37f97f68f08325dc1528',
     ],
   },
+  // Checksum, not a hash, but has same interface
+  CRC24: {
+    fn: crc24,
+    obj: crc24.create,
+    // There is no official vectors, generated with bitwise implementation from RFC 4880 section 6.1
+    nist: ['ba1c7b', 'b704ce', '62fd61', 'f66a9f', 'a5cb6b'],
+  },
   // Hmac as hash
   'HMAC-SHA256': {
     fn: hmac.bind(null, sha256, new Uint8Array()),
@@ -378,6 +485,21 @@ const HASHES = {
       'cc9b6be49d1512557cef495770bb61e46fce6e83af89d385a038c8c050f4609d',
     ],
   },
+  'HMAC-SM3': {
+    fn: hmac.bind(null, sm3, new Uint8Array()),
+    obj: hmac.create.bind(null, sm3, new Uint8Array()),
+    node: (buf) => Uint8Array.from(crypto.createHmac('sm3', new Uint8Array()).update(buf).digest()),
+    node_obj: () => crypto.createHmac('sm3', new Uint8Array()),
+    // There is no official vectors, so we created them via:
+    // > NIST_VECTORS.map((i) => crypto.createHmac('sm3', new Uint8Array()).update(i[2]).digest().toString('hex'))
+    nist: [
+      '36525058ca466791502435c910517f1a7e86613d5f35ac1f18a94def0eaac81f',
+      '0d23f72ba15e9c189a879aefc70996b06091de6e64d31b7a84004356dd915261',
+      'af8b22489eeebe25465a7b904cf86d058c413c90d445818003af8d1473c05153',
+      'f573384a886a4a028c562f420abc640220fcd15e48b89092ce9642d04fb0a7ef',
+      '19895bb33439c4dff515de75410cb282cfbd6fdc75cd632404e92af1206832e2',
+    ],
+  },
   'HMAC-SHA512': {
     fn: hmac.bind(null, sha512, new Uint8Array()),
     obj: hmac.create.bind(null, sha512, new Uint8Array()),
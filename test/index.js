@@ -7,7 +7,25 @@ import './biginteger.test.js'
 // Generic hash tests
 import './hashes.test.js';
 // Specific vectors for hash functions if available
+import './sha512.test.js';
+import './blake.test.js';
+import './ripemd.test.js';
+import './sha1dc.test.js';
+import './streebog.test.js';
+import './legacy.test.js';
 import './hmac.test.js';
 import './keccak.test.js';
+import './kdf.test.js';
+import './drbg.test.js';
+import './rfc6979.test.js';
+import './hash-to-field.test.js';
+import './kbkdf.test.js';
+import './concat-kdf.test.js';
+import './argon2.test.js';
+import './s2k.test.js';
+import './openpgp.test.js';
+import './crc24.test.js';
+import './rsa-encodings.test.js';
+import './registry.test.js';
 
 should.run();
@@ -0,0 +1,245 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import { kbkdfCounter, kbkdfDoublePipeline, kbkdfFeedback, kbkdfKmac } from '../esm/kbkdf.js';
+import { hmac } from '../esm/hmac.js';
+import { kmac128, kmac256 } from '../esm/sha3-addons.js';
+import { sha1 } from '../esm/sha1.js';
+import { sha256 } from '../esm/sha256.js';
+import { sha512 } from '../esm/sha512.js';
+import { bytesToHex, concatBytes, hexToBytes, TYPE_TEST } from './utils.js';
+
+const KEY = hexToBytes('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+const INFO = { label: 'label', context: 'context' };
+
+// Generated with OpenSSL 3 KBKDF (counter and feedback modes, HMAC)
+const OPENSSL = [
+  {
+    fn: kbkdfCounter,
+    hash: sha1,
+    length: 50,
+    opts: { separator: true, lengthBits: 32 },
+    out: '0ef7400c340a4ddec26964e9211c724db335a0fb44f2ac51a659688b02c5c648d3eee14da9eb418dc25330133c70837885e2',
+  },
+  {
+    fn: kbkdfCounter,
+    hash: sha1,
+    length: 50,
+    opts: { separator: false, lengthBits: 0 },
+    out: 'ce7caf84ba20e6e5c9f8090fce77f7cddd2e57c5c1a67f97cf004fe018eaa84b18abe0824180be1b0e3cc08e97cd3f75eb58',
+  },
+  {
+    fn: kbkdfFeedback,
+    hash: sha1,
+    length: 50,
+    opts: { iv: hexToBytes('6465666768696a6b6c6d6e6f7071727374757677') },
+    out: 'ae956dd0f2a2307f4fe7b17a5bfba857de154003d495352732ff1f658f6145b3599cdb53f89fcf389fd621dfe001fdadb488',
+  },
+  {
+    fn: kbkdfCounter,
+    hash: sha256,
+    length: 42,
+    opts: { separator: true, lengthBits: 32 },
+    out: 'b9cd5f6323f01f4680650855f1ebea9b4c54c08131b506fc28c856364a38a2f4fb680c12ea51696887d9',
+  },
+  {
+    fn: kbkdfCounter,
+    hash: sha256,
+    length: 42,
+    opts: { separator: false, lengthBits: 0 },
+    out: '5fbe62c62af6a793f057c9af9e825a9bde3c7c65926751ad49e026a82d49b5be240f82ed2307639e7283',
+  },
+  {
+    fn: kbkdfFeedback,
+    hash: sha256,
+    length: 42,
+    opts: { iv: hexToBytes('6465666768696a6b6c6d6e6f707172737475767778797a7b7c7d7e7f80818283') },
+    out: '1e6759d4e20cf3f148fbd520ebf54f3b93a776c9997cb6a65aaa052808902290d5450e61e96e5416e3f3',
+  },
+  {
+    fn: kbkdfCounter,
+    hash: sha512,
+    length: 100,
+    opts: { separator: true, lengthBits: 32 },
+    out: 'eaafe0ba51282679fb2db5fd4a892caa37bcaf2503fb9f0879d8008853cbcb9415e1605485b9db2fc57e950d3973c7b3ef2c4a23937714645d8f1936becfd85883a2b38728b96cb14d37eb3034c44acb4f12c1c5c4901fafdafe6babee4ad80ccf290aa4',
+  },
+  {
+    fn: kbkdfCounter,
+    hash: sha512,
+    length: 100,
+    opts: { separator: false, lengthBits: 0 },
+    out: 'c9b270f185e891183b073c2e36fcbeac5df5b6943324aeb128e5bee78cdaba2ea72ac66c63f65401a9684de61526bdc5f5ee76b55906c993c9b43bfec9d8bc85d9429350b59f967d723aae5c4cc9fbece5ac92ce91aff75d5d0c95eac37c428db8db4f04',
+  },
+  {
+    fn: kbkdfFeedback,
+    hash: sha512,
+    length: 100,
+    opts: {
+      iv: hexToBytes(
+        '6465666768696a6b6c6d6e6f707172737475767778797a7b7c7d7e7f808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9fa0a1a2a3'
+      ),
+    },
+    out: '516386c866fc9b586513c49db981908ffa55ef51e5799aab665bdb587796bbcd718e41390922995a23c3a8497b3bdc832811a7902891a713b3fc761cee707a61b37b767277472f7935b93baa99295ea293414d122eb67f2c7a879247782792ddadfca2c2',
+  },
+];
+// Counter widths and locations not supported by OpenSSL: generated with independent python implementation
+const LAYOUTS = [
+  {
+    fn: kbkdfCounter,
+    opts: { counterBits: 8 },
+    out: 'a819ee93ef609d00dc6c1303bb7a72aba250ed1fb4cb74280b6a944248cf64c45251aea68691bf52d9013c9755bfaac2231f8a7b7ca9d4646dc6671eaae759804cf292a7a3d4',
+  },
+  {
+    fn: kbkdfCounter,
+    opts: { counterBits: 16, counterLocation: 'after' },
+    out: '884de1eb202977c27f8b07fa413b1034075b7bb2ca5454c01ae0acf57cca1a607c9a1a76c381769dfb4e45709aa6e39c533b099717bc01b8f65e7bf903e08bbf84157d39b265',
+  },
+  {
+    fn: kbkdfCounter,
+    opts: { counterBits: 24, counterLocation: 'middle', counterOffset: 3 },
+    out: 'cf5c13105d0764512a41ae3afc250bab14519609bcac6e29bd70c7abc3bff37492299a711fa3b178da10cfa5a3ec0d76613c81c8f89a60d9e1fae141cb1526f88c7904c46c09',
+  },
+  {
+    fn: kbkdfCounter,
+    opts: { lengthBits: 16 },
+    out: '76c89109cd6467795563403ea1f8f20183f0b52bfc39c6b94bf46f7c7af1053d9d1502cf533f7e7f9bd5a755ea3ec2951b87848c90a56c3091b44da6158c8414a02752b01d35',
+  },
+  {
+    fn: kbkdfFeedback,
+    opts: { counterLocation: 'none' },
+    out: '9e142f25e510486b7a88d00c0825a275463018ae1e71331480cea0a06b9bc5ac3fa6cc8c7eee9162cafd8af576a0a55677788bf58f876a82c10e3330fb919c563484f32fef51',
+  },
+  {
+    fn: kbkdfFeedback,
+    opts: { counterLocation: 'before', iv: hexToBytes('00112233') },
+    out: '7c5d2b44007b2456a1ba74492444ff8271a3253de59dbfa0fe4c327266b7cfc9c705dfcf04456d04628f96dc2b2cc9d1704c31451f470a855f31f65f3edde34c7c445ae587e0',
+  },
+  {
+    fn: kbkdfFeedback,
+    opts: { counterBits: 8, counterLocation: 'after' },
+    out: '1d21a10e27fce82d6a65eea36c055bef62713e2fd12b17fd06d10873729c3715029ad5670aab95f8948eecc2a63e728d1e775d7ee7613e48d9e11f8604595a0b8c5f2bc3d192',
+  },
+  {
+    fn: kbkdfDoublePipeline,
+    opts: {},
+    out: '2db7e33802f82827a5ce09dec6301d29648d1a64c59ceca2122b2162661f4d049040aae8b68b35f4513b85a3680543bd5ebc3bcfe9949e75a059bbfe302b5cb059040dbe4609',
+  },
+  {
+    fn: kbkdfDoublePipeline,
+    opts: { counterLocation: 'none' },
+    out: '3fa6cc8c7eee9162cafd8af576a0a55677788bf58f876a82c10e3330fb919c5677b86b66c67ca041193fabf03d218a58b922df4f3822d0f88db3130590ad9a05e908df36b2a5',
+  },
+  {
+    fn: kbkdfDoublePipeline,
+    opts: { counterLocation: 'before' },
+    out: 'fb238ea4a8d98f9cbdca1723eb00856ba43d3e7c8a550ec0890254f3950c623d120d03b9bec87ec73e2c50ebbc2725777c0603c85799a086b81c2e47fc1451dd8cd30a7e6d29',
+  },
+  {
+    fn: kbkdfDoublePipeline,
+    opts: { counterBits: 16, counterLocation: 'after' },
+    out: 'c9f3492ec1adb441358118c5f5c2f51f519958fc817f40c0f9ddfbdd926b5038a36fed926940740ad5dfa66278c9e621c49abc6a134b0b33958b2582fda19e3d21db67c03a13',
+  },
+  {
+    fn: kbkdfCounter,
+    length: 16,
+    opts: {
+      fixedInput: hexToBytes('0000000000000000000000040000800102030405060708'),
+      counterBits: 8,
+      counterLocation: 'middle',
+      counterOffset: 15,
+    },
+    out: 'df0d3f629d10dc5a270b14c78bb66495',
+  },
+];
+
+should('KBKDF: OpenSSL vectors', () => {
+  for (const { fn, hash, length, opts, out } of OPENSSL)
+    assert.deepStrictEqual(bytesToHex(fn(hash, KEY, length, { ...INFO, ...opts })), out);
+});
+
+should('KBKDF: counter widths and locations', () => {
+  for (const { fn, length = 70, opts, out } of LAYOUTS)
+    assert.deepStrictEqual(bytesToHex(fn(sha256, KEY, length, { ...INFO, ...opts })), out);
+});
+
+should('KBKDF: single block', () => {
+  // K(1) = HMAC(K_IN, [1]_32 || Label || 0x00 || Context || [256]_32)
+  const fixed = concatBytes(
+    new Uint8Array([0, 0, 0, 1]),
+    new TextEncoder().encode('label\x00context'),
+    new Uint8Array([0, 0, 1, 0])
+  );
+  assert.deepStrictEqual(kbkdfCounter(sha256, KEY, 32, INFO), hmac(sha256, KEY, fixed));
+  // Output length is part of fixed input
+  assert.notDeepStrictEqual(
+    kbkdfCounter(sha256, KEY, 16, INFO),
+    kbkdfCounter(sha256, KEY, 32, INFO).subarray(0, 16)
+  );
+});
+
+// KMAC samples from NIST SP 800-185: KMAC(K, X, L, S) = KDF(K_IN = K, Context = X, L, Label = S)
+should('KBKDF: KMAC', () => {
+  const key = hexToBytes('404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f');
+  const context = hexToBytes('00010203');
+  assert.deepStrictEqual(
+    bytesToHex(kbkdfKmac(kmac128, key, 32, { context })),
+    'e5780b0d3ea6f7d3a429c5706aa43a00fadbd7d49628839e3187243f456ee14e'
+  );
+  assert.deepStrictEqual(
+    bytesToHex(kbkdfKmac(kmac128, key, 32, { label: 'My Tagged Application', context })),
+    '3b1fba963cd8b0b59e8c1a6d71888b7143651af8ba0a7070c0979e2811324aa5'
+  );
+  assert.deepStrictEqual(
+    bytesToHex(kbkdfKmac(kmac256, key, 64, { label: 'My Tagged Application', context })),
+    '20c570c31346f703c9ac36c61c03cb64c3970d0cfc787e9b79599d273a68d2f7f69d4cc3de9d104a351689f27cf6f5951f0103f33f4f24871024d9c27773a8dd'
+  );
+  // Output length is encoded into KMAC input
+  assert.notDeepStrictEqual(
+    kbkdfKmac(kmac256, key, 32, INFO),
+    kbkdfKmac(kmac256, key, 64, INFO).subarray(0, 32)
+  );
+  assert.throws(() => kbkdfKmac(sha256, key, 32, INFO));
+});
+
+should('KBKDF: limits', () => {
+  // n <= 2**r - 1
+  assert.deepStrictEqual(kbkdfCounter(sha256, KEY, 255 * 32, { counterBits: 8 }).length, 255 * 32);
+  assert.throws(() => kbkdfCounter(sha256, KEY, 255 * 32 + 1, { counterBits: 8 }));
+  assert.throws(() => kbkdfFeedback(sha256, KEY, 255 * 32 + 1, { counterBits: 8 }));
+  assert.deepStrictEqual(
+    kbkdfFeedback(sha256, KEY, 255 * 32 + 1, { counterBits: 8, counterLocation: 'none' }).length,
+    255 * 32 + 1
+  );
+  // L in bits should fit into [L]_2
+  assert.deepStrictEqual(kbkdfCounter(sha256, KEY, 31, { lengthBits: 8 }).length, 31);
+  assert.throws(() => kbkdfCounter(sha256, KEY, 32, { lengthBits: 8 }));
+  // ... unless fixed input is provided
+  assert.deepStrictEqual(
+    kbkdfCounter(sha256, KEY, 32, { lengthBits: 8, fixedInput: 'x' }).length,
+    32
+  );
+});
+
+should('KBKDF: errors', () => {
+  for (const fn of [kbkdfCounter, kbkdfFeedback, kbkdfDoublePipeline]) {
+    for (const counterBits of [0, 4, 12, 40, 64])
+      assert.throws(() => fn(sha256, KEY, 32, { counterBits }), `counterBits=${counterBits}`);
+    for (const lengthBits of [4, 12, 40, 64])
+      assert.throws(() => fn(sha256, KEY, 32, { lengthBits }), `lengthBits=${lengthBits}`);
+    assert.throws(() => fn(sha256, KEY, 32, { counterLocation: 'xyz' }));
+    for (const t of TYPE_TEST.int) assert.throws(() => fn(sha256, KEY, t), `length=${t}`);
+    for (const t of [null, 0, 'opts']) assert.throws(() => fn(sha256, KEY, 32, t), `opts=${t}`);
+    assert.throws(() => fn({}, KEY, 32));
+  }
+  // Counter mode has no iteration variable, 'middle' is only for counter mode
+  for (const counterLocation of ['afterIter', 'none'])
+    assert.throws(() => kbkdfCounter(sha256, KEY, 32, { counterLocation }));
+  assert.throws(() => kbkdfFeedback(sha256, KEY, 32, { counterLocation: 'middle' }));
+  assert.throws(() => kbkdfDoublePipeline(sha256, KEY, 32, { counterLocation: 'middle' }));
+  assert.throws(() =>
+    kbkdfCounter(sha256, KEY, 32, {
+      fixedInput: 'abc',
+      counterLocation: 'middle',
+      counterOffset: 4,
+    })
+  );
+});
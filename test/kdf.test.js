@@ -0,0 +1,348 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import { should } from 'micro-should';
+import { sha1 } from '../esm/sha1.js';
+import { sha224, sha256 } from '../esm/sha256.js';
+import { sha384, sha512, sha512_224, sha512_256 } from '../esm/sha512.js';
+import { sha3_224, sha3_256, sha3_384, sha3_512 } from '../esm/sha3.js';
+import { ripemd160 } from '../esm/ripemd160.js';
+import { hmac } from '../esm/hmac.js';
+import { hkdf, extract, expand } from '../esm/hkdf.js';
+import { pbkdf2, pbkdf2Async } from '../esm/pbkdf2.js';
+import { scrypt, scryptAsync } from '../esm/scrypt.js';
+import { executeKDFTests } from './generator.js';
+import { hexToBytes, bytesToHex, utf8ToBytes, TYPE_TEST } from './utils.js';
+
+// HKDF test vectors from RFC 5869
+const range = (len, start = 0) => Uint8Array.from({ length: len }, (_, i) => start + i);
+const HKDF_VECTORS = [
+  {
+    hash: sha256,
+    IKM: hexToBytes('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b'),
+    salt: hexToBytes('000102030405060708090a0b0c'),
+    info: hexToBytes('f0f1f2f3f4f5f6f7f8f9'),
+    L: 42,
+    PRK: '077709362c2e32df0ddc3f0dc47bba6390b6c73bb50f9c3122ec844ad7c2b3e5',
+    OKM: '3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865',
+  },
+  {
+    hash: sha256,
+    IKM: range(80),
+    salt: range(80, 0x60),
+    info: range(80, 0xb0),
+    L: 82,
+    PRK: '06a6b88c5853361a06104c9ceb35b45cef760014904671014a193f40c15fc244',
+    OKM:
+      'b11e398dc80327a1c8e7f78c596a49344f012eda2d4efad8a050cc4c19afa97c' +
+      '59045a99cac7827271cb41c65e590e09da3275600c2f09b8367793a9aca3db71' +
+      'cc30c58179ec3e87c14c01d5c1f3434f1d87',
+  },
+  {
+    hash: sha256,
+    IKM: hexToBytes('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b'),
+    salt: new Uint8Array(),
+    info: new Uint8Array(),
+    L: 42,
+    PRK: '19ef24a32c717b167f33a91d6f648bdf96596776afdb6377ac434c1c293ccb04',
+    OKM: '8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8',
+  },
+  {
+    hash: sha1,
+    IKM: hexToBytes('0b0b0b0b0b0b0b0b0b0b0b'),
+    salt: hexToBytes('000102030405060708090a0b0c'),
+    info: hexToBytes('f0f1f2f3f4f5f6f7f8f9'),
+    L: 42,
+    PRK: '9b6c18c432a7bf8f0e71c8eb88f4b30baa2ba243',
+    OKM: '085a01ea1b10f36933068b56efa5ad81a4f14b822f5b091568a9cdd4f155fda2c22e422478d305f3f896',
+  },
+  {
+    hash: sha1,
+    IKM: range(80),
+    salt: range(80, 0x60),
+    info: range(80, 0xb0),
+    L: 82,
+    PRK: '8adae09a2a307059478d309b26c4115a224cfaf6',
+    OKM:
+      '0bd770a74d1160f7c9f12cd5912a06ebff6adcae899d92191fe4305673ba2ffe' +
+      '8fa3f1a4e5ad79f3f334b3b202b2173c486ea37ce3d397ed034c7f9dfeb15c5e' +
+      '927336d0441f4c4300e2cff0d0900b52d3b4',
+  },
+  {
+    hash: sha1,
+    IKM: hexToBytes('0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b'),
+    salt: new Uint8Array(),
+    info: new Uint8Array(),
+    L: 42,
+    PRK: 'da8c8a73c7fa77288ec6f5e7c297786aa0d32d01',
+    OKM: '0ac1af7002b3d761d1e55298da9d0506b9ae52057220a306e07b6b87e8df21d0ea00033de03984d34918',
+  },
+  {
+    hash: sha1,
+    IKM: hexToBytes('0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c0c'),
+    salt: undefined,
+    info: new Uint8Array(),
+    L: 42,
+    PRK: '2adccada18779e7c2077ad2eb19d3f3e731385dd',
+    OKM: '2c91117204d745f3500d636a62f64f0ab3bae548aa53d423b0d1f27ebba6f5e5673a081d70cce7acfc48',
+  },
+];
+
+should('HKDF: RFC 5869 vectors', () => {
+  for (let i = 0; i < HKDF_VECTORS.length; i++) {
+    const t = HKDF_VECTORS[i];
+    const PRK = extract(t.hash, t.IKM, t.salt);
+    assert.deepStrictEqual(bytesToHex(PRK), t.PRK, `extract(${i})`);
+    const OKM = expand(t.hash, PRK, t.info, t.L);
+    assert.deepStrictEqual(bytesToHex(OKM), t.OKM, `expand(${i})`);
+    assert.deepStrictEqual(
+      bytesToHex(hkdf(t.hash, t.IKM, t.salt, t.info, t.L)),
+      t.OKM,
+      `hkdf(${i})`
+    );
+  }
+});
+
+const NODE_HASHES = {
+  sha1: sha1,
+  sha224: sha224,
+  sha256: sha256,
+  sha384: sha384,
+  sha512: sha512,
+  'sha512-224': sha512_224,
+  'sha512-256': sha512_256,
+  'sha3-224': sha3_224,
+  'sha3-256': sha3_256,
+  'sha3-384': sha3_384,
+  'sha3-512': sha3_512,
+};
+
+should('HKDF: matches node.js for sha2 and sha3', () => {
+  const ikm = range(50, 1);
+  const salt = range(33, 7);
+  const info = range(17, 100);
+  for (const name in NODE_HASHES) {
+    const hash = NODE_HASHES[name];
+    for (const len of [1, 16, hash.outputLen, hash.outputLen + 1, 255 * hash.outputLen]) {
+      const exp = new Uint8Array(crypto.hkdfSync(name, ikm, salt, info, len));
+      assert.deepStrictEqual(hkdf(hash, ikm, salt, info, len), exp, `${name}(${len})`);
+    }
+  }
+});
+
+should('HKDF: ripemd160', () => {
+  const ikm = range(50, 1);
+  const salt = range(33, 7);
+  const prk = extract(ripemd160, ikm, salt);
+  assert.deepStrictEqual(prk, hmac(ripemd160, salt, ikm));
+  // T(1) = HMAC(PRK, info | 0x01), T(2) = HMAC(PRK, T(1) | info | 0x02)
+  const T1 = hmac(ripemd160, prk, new Uint8Array([0xaa, 1]));
+  const T2 = hmac(ripemd160, prk, new Uint8Array([...T1, 0xaa, 2]));
+  assert.deepStrictEqual(
+    expand(ripemd160, prk, new Uint8Array([0xaa]), 30),
+    new Uint8Array([...T1, ...T2]).slice(0, 30)
+  );
+});
+
+should('HKDF: output length limit is 255*HashLen', () => {
+  for (const hash of [sha1, sha256, sha512, sha3_256, ripemd160]) {
+    const prk = extract(hash, 'ikm');
+    assert.deepStrictEqual(
+      expand(hash, prk, 'info', 255 * hash.outputLen).length,
+      255 * hash.outputLen
+    );
+    assert.throws(() => expand(hash, prk, 'info', 255 * hash.outputLen + 1));
+  }
+});
+
+should('HKDF: input validation', () => {
+  for (const t of TYPE_TEST.hash)
+    assert.throws(() => hkdf(t, 'ikm', 'salt', 'info', 32), `hash=${t}`);
+  for (const t of TYPE_TEST.int)
+    assert.throws(() => expand(sha256, new Uint8Array(32), 'info', t), `length=${t}`);
+  for (const t of TYPE_TEST.bytes) {
+    assert.throws(() => hkdf(sha256, t, 'salt', 'info', 32), `ikm=${t}`);
+    assert.throws(() => hkdf(sha256, 'ikm', t, 'info', 32), `salt=${t}`);
+  }
+});
+
+// PBKDF2-HMAC-SHA1 test vectors from RFC 6070
+// (c=16777216 vector skipped: too slow)
+const PBKDF2_VECTORS = [
+  ['password', 'salt', 1, 20, '0c60c80f961f0e71f3a9b524af6012062fe037a6'],
+  ['password', 'salt', 2, 20, 'ea6c014dc72d6f8ccd1ed92ace1d41f0d8de8957'],
+  ['password', 'salt', 4096, 20, '4b007901b765489abead49d926f721d065a429c1'],
+  [
+    'passwordPASSWORDpassword',
+    'saltSALTsaltSALTsaltSALTsaltSALTsalt',
+    4096,
+    25,
+    '3d2eec4fe41c849b80c8d83662c0e44a8b291a964cf2f07038',
+  ],
+  ['pass\0word', 'sa\0lt', 4096, 16, '56fa6aa75548099dcc37d7f03425e0c3'],
+];
+
+should('PBKDF2: RFC 6070 vectors', async () => {
+  for (const [password, salt, c, dkLen, exp] of PBKDF2_VECTORS) {
+    const opts = { c, dkLen };
+    assert.deepStrictEqual(bytesToHex(pbkdf2(sha1, password, salt, opts)), exp);
+    assert.deepStrictEqual(bytesToHex(await pbkdf2Async(sha1, password, salt, opts)), exp);
+    assert.deepStrictEqual(
+      bytesToHex(pbkdf2(sha1, utf8ToBytes(password), utf8ToBytes(salt), opts)),
+      exp
+    );
+  }
+});
+
+should('PBKDF2: matches node.js for sha2 and sha3', async () => {
+  const password = range(13, 1);
+  const salt = range(21, 50);
+  for (const name in NODE_HASHES) {
+    const hash = NODE_HASHES[name];
+    for (const dkLen of [1, hash.outputLen, 2 * hash.outputLen + 3]) {
+      const exp = Uint8Array.from(crypto.pbkdf2Sync(password, salt, 100, dkLen, name));
+      const opts = { c: 100, dkLen };
+      assert.deepStrictEqual(pbkdf2(hash, password, salt, opts), exp, `${name}(${dkLen})`);
+      assert.deepStrictEqual(await pbkdf2Async(hash, password, salt, opts), exp, `${name} async`);
+    }
+  }
+});
+
+should('PBKDF2: async version yields control', async () => {
+  const opts = { c: 20000, dkLen: 32 };
+  const exp = pbkdf2(sha256, 'password', 'salt', opts);
+  for (const asyncTick of [0, 1, 10]) {
+    let ticks = 0;
+    const res = pbkdf2Async(sha256, 'password', 'salt', { ...opts, asyncTick });
+    // Runs concurrently with pbkdf2Async only if it returns control
+    const counter = (async () => {
+      for (let i = 0; i < 10; i++) {
+        await null;
+        ticks++;
+      }
+    })();
+    assert.deepStrictEqual(await res, exp);
+    // asyncTick: 0 returns control after every iteration
+    if (asyncTick === 0) assert.deepStrictEqual(ticks, 10);
+    await counter;
+  }
+});
+
+should('PBKDF2: input validation', async () => {
+  const opts = { c: 10, dkLen: 32 };
+  assert.throws(() => pbkdf2(sha256, 'password', 'salt', { c: 0 }));
+  await assert.rejects(() => pbkdf2Async(sha256, 'password', 'salt', { c: 0 }));
+  assert.throws(() => pbkdf2(sha256, 'password', 'salt'));
+  for (const t of TYPE_TEST.hash) assert.throws(() => pbkdf2(t, 'password', 'salt', opts));
+  for (const t of TYPE_TEST.int) {
+    assert.throws(() => pbkdf2(sha256, 'password', 'salt', { ...opts, c: t }), `c=${t}`);
+    assert.throws(() => pbkdf2(sha256, 'password', 'salt', { ...opts, dkLen: t }), `dkLen=${t}`);
+    await assert.rejects(() => pbkdf2Async(sha256, 'pwd', 'salt', { ...opts, asyncTick: t }));
+  }
+  for (const t of TYPE_TEST.bytes) {
+    assert.throws(() => pbkdf2(sha256, t, 'salt', opts), `password=${t}`);
+    assert.throws(() => pbkdf2(sha256, 'password', t, opts), `salt=${t}`);
+  }
+  for (const t of TYPE_TEST.opts) assert.throws(() => pbkdf2(sha256, 'password', 'salt', t));
+});
+
+// Scrypt test vectors from RFC 7914
+// (N=2**20 vector skipped: requires 1GB of memory)
+const SCRYPT_VECTORS = [
+  {
+    P: '',
+    S: '',
+    opts: { N: 16, r: 1, p: 1, dkLen: 64 },
+    exp:
+      '77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442' +
+      'fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906',
+  },
+  {
+    P: 'password',
+    S: 'NaCl',
+    opts: { N: 1024, r: 8, p: 16, dkLen: 64 },
+    exp:
+      'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b373162' +
+      '2eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640',
+  },
+  {
+    P: 'pleaseletmein',
+    S: 'SodiumChloride',
+    opts: { N: 16384, r: 8, p: 1, dkLen: 64 },
+    exp:
+      '7023bdcb3afd7348461c06cd81fd38ebfda8fbba904f8e3ea9b543f6545da1f2' +
+      'd5432955613f0fcf62d49705242a9af9e61e85dc0d651e40dfcf017b45575887',
+  },
+];
+
+should('Scrypt: RFC 7914 vectors', async () => {
+  for (const { P, S, opts, exp } of SCRYPT_VECTORS) {
+    assert.deepStrictEqual(bytesToHex(scrypt(P, S, opts)), exp);
+    assert.deepStrictEqual(bytesToHex(await scryptAsync(P, S, opts)), exp);
+  }
+});
+
+should('Scrypt: matches node.js', async () => {
+  const password = range(13, 1);
+  const salt = range(21, 50);
+  for (const N of [2, 4, 256])
+    for (const r of [1, 3, 8])
+      for (const p of [1, 2])
+        for (const dkLen of [1, 32, 65]) {
+          const opts = { N, r, p, dkLen };
+          const exp = Uint8Array.from(crypto.scryptSync(password, salt, dkLen, opts));
+          assert.deepStrictEqual(scrypt(password, salt, opts), exp, JSON.stringify(opts));
+        }
+});
+
+should('Scrypt: maxmem', () => {
+  // 128 * r * (N + p)
+  const opts = { N: 1024, r: 8, p: 1, dkLen: 32 };
+  const mem = 128 * 8 * (1024 + 1);
+  assert.deepStrictEqual(scrypt('pwd', 'salt', { ...opts, maxmem: mem }).length, 32);
+  assert.throws(() => scrypt('pwd', 'salt', { ...opts, maxmem: mem - 1 }));
+  // Default limit is 1GB + 1KB: N=2**20, r=8, p=1 is allowed, N=2**21 is not
+  assert.throws(() => scrypt('pwd', 'salt', { N: 2 ** 21, r: 8, p: 1 }));
+  assert.throws(() => scrypt('pwd', 'salt', { N: 2 ** 20, r: 8, p: 2 }));
+});
+
+should('Scrypt: onProgress', async () => {
+  const opts = { N: 1024, r: 8, p: 2, dkLen: 32 };
+  const exp = scrypt('pwd', 'salt', opts);
+  for (const fn of [scrypt, scryptAsync]) {
+    const progress = [];
+    const res = await fn('pwd', 'salt', { ...opts, onProgress: (p) => progress.push(p) });
+    assert.deepStrictEqual(res, exp);
+    assert.ok(progress.length > 0);
+    assert.deepStrictEqual(progress[progress.length - 1], 1);
+    for (let i = 1; i < progress.length; i++) assert.ok(progress[i] > progress[i - 1]);
+  }
+  assert.throws(() => scrypt('pwd', 'salt', { ...opts, onProgress: 1 }));
+});
+
+should('Scrypt: input validation', async () => {
+  const opts = { N: 16, r: 1, p: 1, dkLen: 32 };
+  // N should be power of 2 and bigger than 1
+  for (const N of [0, 1, 3, 17, 2 ** 32 + 1])
+    assert.throws(() => scrypt('pwd', 'salt', { ...opts, N }), `N=${N}`);
+  // N should be less than 2^(128 * r / 8)
+  assert.throws(() => scrypt('pwd', 'salt', { ...opts, N: 2 ** 16 }));
+  // r and p should be at least 1
+  for (const k of ['r', 'p']) {
+    assert.throws(() => scrypt('pwd', 'salt', { ...opts, [k]: 0 }), `${k}=0`);
+    await assert.rejects(() => scryptAsync('pwd', 'salt', { ...opts, [k]: 0 }), `${k}=0`);
+  }
+  for (const t of TYPE_TEST.int) {
+    for (const k of ['N', 'r', 'p', 'dkLen', 'asyncTick', 'maxmem']) {
+      assert.throws(() => scrypt('pwd', 'salt', { ...opts, [k]: t }), `${k}=${t}`);
+      await assert.rejects(() => scryptAsync('pwd', 'salt', { ...opts, [k]: t }), `${k}=${t}`);
+    }
+  }
+  for (const t of TYPE_TEST.bytes) {
+    assert.throws(() => scrypt(t, 'salt', opts), `password=${t}`);
+    assert.throws(() => scrypt('pwd', t, opts), `salt=${t}`);
+  }
+  for (const t of TYPE_TEST.opts) assert.throws(() => scrypt('pwd', 'salt', t));
+});
+
+// Generated tests against node.js: hkdf, pbkdf2 over sha2, sha3 and blake2
+executeKDFTests(true);
@@ -0,0 +1,70 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import crypto from 'crypto';
+import { md4, md5 } from '../esm/legacy.js';
+import { hashByName, hashByOid, hashByOpenpgpId } from '../esm/registry.js';
+import { bytesToHex, utf8ToBytes } from './utils.js';
+
+// RFC 1320 and RFC 1321 test suites: [message, md4, md5]
+const VECTORS = [
+  ['', '31d6cfe0d16ae931b73c59d7e0c089c0', 'd41d8cd98f00b204e9800998ecf8427e'],
+  ['a', 'bde52cb31de33e46245e05fbdbd6fb24', '0cc175b9c0f1b6a831c399e269772661'],
+  ['abc', 'a448017aaf21d8525fc10ae87aa6729d', '900150983cd24fb0d6963f7d28e17f72'],
+  ['message digest', 'd9130a8164549fe818874806e1c7014b', 'f96b697d7cb7938d525a2f31aaf161d0'],
+  [
+    'abcdefghijklmnopqrstuvwxyz',
+    'd79e1c308aa5bbcdeea8ed63df412da9',
+    'c3fcd3d76192e4007dfb496cca67e13b',
+  ],
+  [
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789',
+    '043f8582f241db351ce627e153e7f0e4',
+    'd174ab98d277d9f5a5611c2c9f419d9f',
+  ],
+  ['1234567890'.repeat(8), 'e33b4ddc9c38f2199c3e7b164fcc0536', '57edf4a22be3c955ac49da2e2107b67a'],
+];
+
+should('MD4: RFC 1320 vectors', () => {
+  for (const [msg, exp] of VECTORS) assert.deepStrictEqual(bytesToHex(md4(msg)), exp, msg);
+});
+
+should('MD5: RFC 1321 vectors', () => {
+  for (const [msg, _, exp] of VECTORS) assert.deepStrictEqual(bytesToHex(md5(msg)), exp, msg);
+});
+
+should('MD5: matches node around block boundaries', () => {
+  const buf = new Uint8Array(300).map((_, i) => (i * 31 + 7) & 0xff);
+  for (let len = 0; len < buf.length; len++) {
+    const msg = buf.subarray(0, len);
+    const exp = crypto.createHash('md5').update(msg).digest('hex');
+    assert.deepStrictEqual(bytesToHex(md5(msg)), exp, `len=${len}`);
+  }
+});
+
+should('MD4/MD5: streaming', () => {
+  const msg = utf8ToBytes('1234567890'.repeat(20));
+  for (const hash of [md4, md5]) {
+    for (const chunk of [1, 3, 17, 63, 64, 65]) {
+      const h = hash.create();
+      for (let i = 0; i < msg.length; i += chunk) h.update(msg.subarray(i, i + chunk));
+      assert.deepStrictEqual(h.digest(), hash(msg), `chunk=${chunk}`);
+    }
+  }
+});
+
+should('MD4/MD5: identifiers', () => {
+  assert.deepStrictEqual(bytesToHex(md5.oid), '06082a864886f70d0205');
+  assert.deepStrictEqual(bytesToHex(md5.digestInfo), '3020300c06082a864886f70d020505000410');
+  assert.strictEqual(md5.openpgpId, 1);
+  assert.deepStrictEqual(bytesToHex(md4.oid), '06082a864886f70d0204');
+  assert.deepStrictEqual(bytesToHex(md4.digestInfo), '3020300c06082a864886f70d020405000410');
+  assert.strictEqual(md4.openpgpId, undefined);
+});
+
+should('MD4/MD5: not registered by default', () => {
+  assert.strictEqual(hashByName('MD5'), undefined);
+  assert.strictEqual(hashByName('MD4'), undefined);
+  assert.strictEqual(hashByOid(md5.oid), undefined);
+  assert.strictEqual(hashByOid(md4.oid), undefined);
+  assert.strictEqual(hashByOpenpgpId(1), undefined);
+});
@@ -0,0 +1,299 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import { sha224, sha256 } from '../esm/sha256.js';
+import { sha384, sha512 } from '../esm/sha512.js';
+import { sha1 } from '../esm/sha1.js';
+import { keyFingerprint, signatureHash, mdc, ecdhKdfParam } from '../esm/openpgp.js';
+import { concatKdf } from '../esm/concat-kdf.js';
+import { ripemd160 } from '../esm/ripemd160.js';
+import { sha3_224, sha3_256, sha3_512 } from '../esm/sha3.js';
+import { hexToBytes, bytesToHex, concatBytes, utf8ToBytes, TYPE_TEST } from './utils.js';
+
+// RFC 9580 appendix A.3: sample v6 Ed25519 public key (packet body)
+const V6_KEY = hexToBytes(
+  '0663877fe31b00000020f94da7bb48d60a61e567706a6587d0331999bb9d891a08242ead84543df895a3'
+);
+// RFC 9580 appendix A.1: sample v4 Ed25519Legacy public key (packet body)
+const V4_KEY = hexToBytes(
+  '0453f35f0b16092b06010401da470f010107403f098994bdd916ed4053197934e4a87c80733a1280d62f8010992e43ee3b2406'
+);
+
+should('OpenPGP: v4 fingerprint', () => {
+  const { fingerprint, keyID } = keyFingerprint(V4_KEY);
+  assert.deepStrictEqual(bytesToHex(fingerprint), 'c959bdbafa32a2f89a153b678cfde12197965a9a');
+  assert.deepStrictEqual(bytesToHex(keyID), '8cfde12197965a9a');
+  assert.deepStrictEqual(keyFingerprint(V4_KEY, 4), { fingerprint, keyID });
+});
+
+should('OpenPGP: v6 fingerprint', () => {
+  const { fingerprint, keyID } = keyFingerprint(V6_KEY);
+  assert.deepStrictEqual(
+    bytesToHex(fingerprint),
+    'cb186c4f0609a697e4d52dfa6c722b0c1f1e27c18a56708f6525ec27bad9acc9'
+  );
+  assert.deepStrictEqual(bytesToHex(keyID), 'cb186c4f0609a697');
+});
+
+should('OpenPGP: v5 fingerprint', () => {
+  // Same key material as v6 sample, but with version 5
+  const body = V6_KEY.slice();
+  body[0] = 5;
+  const { fingerprint, keyID } = keyFingerprint(body);
+  const exp = sha256(concatBytes(new Uint8Array([0x9a, 0, 0, 0, body.length]), body));
+  assert.deepStrictEqual(fingerprint, exp);
+  assert.deepStrictEqual(keyID, exp.slice(0, 8));
+});
+
+should('OpenPGP: fingerprint of big key', () => {
+  // 4-byte length for v6, 2-byte for v4
+  const body = new Uint8Array(70000);
+  body[0] = 6;
+  const len = new Uint8Array([0x9b, 0x00, 0x01, 0x11, 0x70]);
+  assert.deepStrictEqual(keyFingerprint(body).fingerprint, sha256(concatBytes(len, body)));
+  body[0] = 4;
+  assert.throws(() => keyFingerprint(body));
+});
+
+should('OpenPGP: fingerprint input validation', () => {
+  assert.throws(() => keyFingerprint(new Uint8Array()));
+  // Unsupported versions
+  for (const v of [2, 3, 7]) assert.throws(() => keyFingerprint(new Uint8Array([v, 1, 2, 3])));
+  // Version mismatch
+  assert.throws(() => keyFingerprint(V4_KEY, 6));
+  assert.throws(() => keyFingerprint(V6_KEY, 4));
+  for (const t of TYPE_TEST.bytes) assert.throws(() => keyFingerprint(t), `body=${t}`);
+  for (const t of TYPE_TEST.int) {
+    if (t === undefined) continue;
+    assert.throws(() => keyFingerprint(V6_KEY, t), `version=${t}`);
+  }
+});
+
+// v4 Ed25519 detached binary signature of SIG_DATA, made by GnuPG 2.2 with SHA256.
+// Hashed area is: version, type, pubkey algo, hash algo, 2-byte length, hashed subpackets.
+const SIG_DATA = utf8ToBytes('Hello, OpenPGP!\n');
+const SIG_V4_HASHED = hexToBytes(
+  '04001608001d1621045d5b31f708698b596c72eb10c48a1d374da0e7a405026ad63470'
+);
+
+should('OpenPGP: v4 signature hash', () => {
+  const { digest, left16 } = signatureHash(sha256)
+    .update(SIG_DATA)
+    .finalizeSignature({ version: 4, hashedArea: SIG_V4_HASHED });
+  assert.deepStrictEqual(
+    bytesToHex(digest),
+    'a0ba7148fc9e1eccc58e0e107883f2aea57e3f78606a6e0e1a980f9e824d7b6a'
+  );
+  assert.deepStrictEqual(bytesToHex(left16), 'a0ba');
+  // Trailer is version, 0xFF, 4-byte length of hashed area
+  const trailer = new Uint8Array([4, 0xff, 0, 0, 0, SIG_V4_HASHED.length]);
+  assert.deepStrictEqual(digest, sha256(concatBytes(SIG_DATA, SIG_V4_HASHED, trailer)));
+});
+
+should('OpenPGP: v6 signature hash', () => {
+  const salt = new Uint8Array(32).fill(7);
+  const hashedArea = new Uint8Array(300);
+  hashedArea[0] = 6;
+  const ctx = signatureHash(sha512, { salt }).update(SIG_DATA.subarray(0, 5));
+  ctx.update(SIG_DATA.subarray(5));
+  const { digest, left16 } = ctx.finalizeSignature({ version: 6, hashedArea, salt });
+  // Salt is hashed before data
+  const trailer = new Uint8Array([6, 0xff, 0, 0, 1, 44]);
+  const exp = sha512(concatBytes(salt, SIG_DATA, hashedArea, trailer));
+  assert.deepStrictEqual(digest, exp);
+  assert.deepStrictEqual(left16, exp.slice(0, 2));
+});
+
+should('OpenPGP: signature hash reuse', () => {
+  const ctx = signatureHash(sha256).update(SIG_DATA);
+  const other = SIG_V4_HASHED.slice();
+  other[1] = 0x01;
+  const h1 = ctx.finalizeSignature({ version: 4, hashedArea: SIG_V4_HASHED });
+  const h2 = ctx.finalizeSignature({ version: 4, hashedArea: other });
+  assert.notDeepStrictEqual(h1.digest, h2.digest);
+  assert.deepStrictEqual(ctx.finalizeSignature({ version: 4, hashedArea: SIG_V4_HASHED }), h1);
+  // Clone
+  const c = ctx.clone();
+  assert.deepStrictEqual(c.finalizeSignature({ version: 4, hashedArea: SIG_V4_HASHED }), h1);
+  c.update('more data');
+  assert.notDeepStrictEqual(c.finalizeSignature({ version: 4, hashedArea: SIG_V4_HASHED }), h1);
+  assert.deepStrictEqual(ctx.finalizeSignature({ version: 4, hashedArea: SIG_V4_HASHED }), h1);
+  ctx.destroy();
+  assert.throws(() => ctx.update(SIG_DATA));
+  assert.throws(() => ctx.finalizeSignature({ version: 4, hashedArea: SIG_V4_HASHED }));
+});
+
+should('OpenPGP: signature hash input validation', () => {
+  const salt = new Uint8Array(16);
+  const v6Area = new Uint8Array([6, 0, 22, 8]);
+  const v4 = signatureHash(sha256);
+  const v6 = signatureHash(sha256, { salt });
+  // Unsupported versions and version mismatch
+  for (const version of [3, 5])
+    assert.throws(() => v4.finalizeSignature({ version, hashedArea: new Uint8Array([version]) }));
+  assert.throws(() => v4.finalizeSignature({ version: 6, hashedArea: SIG_V4_HASHED }));
+  assert.throws(() => v4.finalizeSignature({ version: 4, hashedArea: new Uint8Array() }));
+  // Salt only for v6, and only same salt as in context
+  assert.throws(() => v4.finalizeSignature({ version: 6, hashedArea: v6Area, salt }));
+  assert.throws(() => v4.finalizeSignature({ version: 4, hashedArea: SIG_V4_HASHED, salt }));
+  assert.throws(() => v6.finalizeSignature({ version: 4, hashedArea: SIG_V4_HASHED }));
+  assert.throws(() => v6.finalizeSignature({ version: 6, hashedArea: v6Area }));
+  assert.throws(() =>
+    v6.finalizeSignature({ version: 6, hashedArea: v6Area, salt: new Uint8Array(16).fill(1) })
+  );
+  assert.throws(() =>
+    v6.finalizeSignature({ version: 6, hashedArea: v6Area, salt: salt.subarray(1) })
+  );
+  v6.finalizeSignature({ version: 6, hashedArea: v6Area, salt });
+  assert.throws(() => signatureHash(sha256, { salt: new Uint8Array() }));
+  // Salt size is defined by hash (RFC 9580 section 9.5)
+  for (const [hash, len] of [
+    [sha224, 16],
+    [sha256, 16],
+    [sha384, 24],
+    [sha512, 32],
+    [sha3_256, 16],
+    [sha3_512, 32],
+  ]) {
+    assert.doesNotThrow(() => signatureHash(hash, { salt: new Uint8Array(len) }));
+    for (const l of [len - 1, len + 1, len === 32 ? 16 : 32])
+      assert.throws(() => signatureHash(hash, { salt: new Uint8Array(l) }), `len=${l}`);
+  }
+  // Legacy hashes and hashes without OpenPGP ID can't be used in v6 signatures
+  for (const hash of [sha1, ripemd160, sha3_224])
+    assert.throws(() => signatureHash(hash, { salt: new Uint8Array(16) }));
+  for (const t of TYPE_TEST.hash) assert.throws(() => signatureHash(t), `hash=${t}`);
+  for (const t of TYPE_TEST.bytes) {
+    assert.throws(() => v4.finalizeSignature({ version: 4, hashedArea: t }), `hashedArea=${t}`);
+    if (t === undefined) continue;
+    assert.throws(() => signatureHash(sha256, { salt: t }), `salt=${t}`);
+  }
+  for (const t of TYPE_TEST.int)
+    assert.throws(() => v4.finalizeSignature({ version: t, hashedArea: SIG_V4_HASHED }));
+});
+
+// Decrypted SEIPD v1 stream: 18 bytes of prefix, literal data packet with 'Hello, world!', MDC packet
+const MDC_DATA = hexToBytes(
+  '0102030405060708090a0b0c0d0e0f100f10cb1362000000000048656c6c6f2c20776f726c6421'
+);
+const MDC_STREAM = concatBytes(
+  MDC_DATA,
+  hexToBytes('d314aa9ddc9ea672e659cc6538b868ba2c03be4bcf67')
+);
+
+should('OpenPGP: MDC', () => {
+  const m = mdc();
+  assert.deepStrictEqual(m.update(MDC_STREAM), MDC_DATA);
+  assert.deepStrictEqual(m.finish(), true);
+  assert.throws(() => m.update(MDC_STREAM));
+  assert.throws(() => m.finish());
+});
+
+should('OpenPGP: MDC chunks', () => {
+  for (const chunkLen of [1, 2, 7, 21, 22, 23, 40]) {
+    const m = mdc();
+    const out = [];
+    for (let i = 0; i < MDC_STREAM.length; i += chunkLen)
+      out.push(m.update(MDC_STREAM.subarray(i, i + chunkLen)));
+    assert.deepStrictEqual(concatBytes(...out), MDC_DATA, `chunkLen=${chunkLen}`);
+    assert.deepStrictEqual(m.finish(), true, `chunkLen=${chunkLen}`);
+  }
+  // Big stream with empty chunks
+  const data = new Uint8Array(100000).map((_, i) => i & 0xff);
+  const hdr = new Uint8Array([0xd3, 0x14]);
+  const stream = concatBytes(data, hdr, sha1(concatBytes(data, hdr)));
+  const m = mdc();
+  const out = [m.update(new Uint8Array())];
+  for (let i = 0; i < stream.length; i += 4096) {
+    out.push(m.update(stream.subarray(i, i + 4096)));
+    out.push(m.update(''));
+  }
+  assert.deepStrictEqual(concatBytes(...out), data);
+  assert.deepStrictEqual(m.finish(), true);
+});
+
+should('OpenPGP: MDC modified', () => {
+  for (let i = 0; i < MDC_STREAM.length; i++) {
+    const stream = MDC_STREAM.slice();
+    stream[i] ^= 1;
+    const m = mdc();
+    m.update(stream);
+    assert.deepStrictEqual(m.finish(), false, `pos=${i}`);
+  }
+  // Truncated streams
+  for (const len of [0, 1, 21, 22, MDC_STREAM.length - 1]) {
+    const m = mdc();
+    m.update(MDC_STREAM.subarray(0, len));
+    assert.deepStrictEqual(m.finish(), false, `len=${len}`);
+  }
+  // MDC of empty data is valid
+  const hdr = new Uint8Array([0xd3, 0x14]);
+  const m = mdc();
+  assert.deepStrictEqual(m.update(concatBytes(hdr, sha1(hdr))), new Uint8Array());
+  assert.deepStrictEqual(m.finish(), true);
+  for (const t of TYPE_TEST.bytes) {
+    if (typeof t === 'string') continue;
+    assert.throws(() => mdc().update(t), `data=${t}`);
+  }
+});
+
+should('ecdhKdfParam: RFC 6637 parameter block', () => {
+  const curveOid = hexToBytes('2a8648ce3d030107'); // P-256
+  const fingerprint = hexToBytes('a0a1a2a3a4a5a6a7a8a9aaabacadaeafb0b1b2b3');
+  const param = ecdhKdfParam({ curveOid, hash: sha256, cipherId: 7, fingerprint });
+  assert.deepStrictEqual(
+    bytesToHex(param),
+    '08' +
+      '2a8648ce3d030107' +
+      '12' +
+      '03010807' +
+      bytesToHex(utf8ToBytes('Anonymous Sender    ')) +
+      'a0a1a2a3a4a5a6a7a8a9aaabacadaeafb0b1b2b3'
+  );
+  // KEK: AES-128 key, generated with OpenSSL 3 SSKDF
+  const z = hexToBytes('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+  assert.deepStrictEqual(
+    bytesToHex(concatKdf(sha256, z, param, 16)),
+    '66d123f10c579de989295ef9f1202c77'
+  );
+  // Hash ID is taken from hash
+  const p512 = ecdhKdfParam({ curveOid, hash: sha512, cipherId: 9, fingerprint });
+  assert.deepStrictEqual(p512.subarray(10, 14), new Uint8Array([0x03, 0x01, 10, 9]));
+  // v6 fingerprint
+  const fp6 = new Uint8Array(32).fill(1);
+  assert.deepStrictEqual(
+    ecdhKdfParam({ curveOid, hash: sha256, cipherId: 9, fingerprint: fp6 }).length,
+    66
+  );
+});
+
+should('ecdhKdfParam: errors', () => {
+  const opts = {
+    curveOid: hexToBytes('2a8648ce3d030107'),
+    hash: sha256,
+    cipherId: 7,
+    fingerprint: new Uint8Array(20),
+  };
+  for (const hash of [sha256, sha384, sha512])
+    assert.doesNotThrow(() => ecdhKdfParam({ ...opts, hash }));
+  for (const cipherId of [7, 8, 9]) assert.doesNotThrow(() => ecdhKdfParam({ ...opts, cipherId }));
+  // Only SHA2-256/384/512 and AES key wrap are allowed (RFC 9580 section 11.5)
+  for (const hash of [sha1, ripemd160, sha224, sha3_256])
+    assert.throws(() => ecdhKdfParam({ ...opts, hash }), `hash=${hash.openpgpId}`);
+  for (const cipherId of [0, 1, 2, 6, 10, 13])
+    assert.throws(() => ecdhKdfParam({ ...opts, cipherId }), `cipherId=${cipherId}`);
+  for (const len of [0, 16, 19, 21, 31, 33, 64])
+    assert.throws(() => ecdhKdfParam({ ...opts, fingerprint: new Uint8Array(len) }), `len=${len}`);
+  // DER-encoded OID with tag and length
+  assert.throws(() => ecdhKdfParam({ ...opts, curveOid: hexToBytes('06082a8648ce3d030107') }));
+  assert.throws(() => ecdhKdfParam({ ...opts, curveOid: new Uint8Array() }));
+  assert.throws(() => ecdhKdfParam({ ...opts, curveOid: new Uint8Array(255) }));
+  assert.throws(() => ecdhKdfParam({ ...opts, cipherId: 256 }));
+  assert.throws(() => ecdhKdfParam({ ...opts, hash: sha3_224 }));
+  for (const t of TYPE_TEST.int) assert.throws(() => ecdhKdfParam({ ...opts, cipherId: t }));
+  for (const t of TYPE_TEST.bytes) {
+    if (t instanceof Uint8Array) continue;
+    assert.throws(() => ecdhKdfParam({ ...opts, curveOid: t }), `curveOid=${t}`);
+    assert.throws(() => ecdhKdfParam({ ...opts, fingerprint: t }), `fingerprint=${t}`);
+  }
+  assert.throws(() => ecdhKdfParam());
+});
@@ -0,0 +1,122 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import { sha1 } from '../esm/sha1.js';
+import { sha224, sha256 } from '../esm/sha256.js';
+import { sha384, sha512, sha512_224, sha512_256 } from '../esm/sha512.js';
+import { sha3_224, sha3_256, sha3_384, sha3_512, keccak_256 } from '../esm/sha3.js';
+import { ripemd128, ripemd160, ripemd256, ripemd320 } from '../esm/ripemd160.js';
+import { sm3 } from '../esm/sm3.js';
+import { streebog256, streebog512 } from '../esm/streebog.js';
+import {
+  hashByName,
+  hashByOid,
+  hashByOpenpgpId,
+  oidToBytes,
+  registerHash,
+} from '../esm/registry.js';
+import { wrapConstructor } from '../esm/utils.js';
+import { bytesToHex, TYPE_TEST } from './utils.js';
+
+// [name, hash, OID, OpenPGP ID]
+const REGISTRY = [
+  ['SHA-1', sha1, '1.3.14.3.2.26', 2],
+  ['RIPEMD-160', ripemd160, '1.3.36.3.2.1', 3],
+  ['RIPEMD-128', ripemd128, '1.3.36.3.2.2'],
+  ['RIPEMD-256', ripemd256, '1.3.36.3.2.3'],
+  ['SHA-256', sha256, '2.16.840.1.101.3.4.2.1', 8],
+  ['SHA-384', sha384, '2.16.840.1.101.3.4.2.2', 9],
+  ['SHA-512', sha512, '2.16.840.1.101.3.4.2.3', 10],
+  ['SHA-224', sha224, '2.16.840.1.101.3.4.2.4', 11],
+  ['SHA-512/224', sha512_224, '2.16.840.1.101.3.4.2.5'],
+  ['SHA-512/256', sha512_256, '2.16.840.1.101.3.4.2.6'],
+  ['SHA3-224', sha3_224, '2.16.840.1.101.3.4.2.7'],
+  ['SHA3-256', sha3_256, '2.16.840.1.101.3.4.2.8', 12],
+  ['SHA3-384', sha3_384, '2.16.840.1.101.3.4.2.9'],
+  ['SHA3-512', sha3_512, '2.16.840.1.101.3.4.2.10', 14],
+  ['SM3', sm3, '1.2.156.10197.1.401'],
+  ['STREEBOG-256', streebog256, '1.2.643.7.1.1.2.2'],
+  ['STREEBOG-512', streebog512, '1.2.643.7.1.1.2.3'],
+];
+
+should('Registry: lookup', () => {
+  for (const [name, hash, oid, openpgpId] of REGISTRY) {
+    assert.strictEqual(hashByName(name), hash, name);
+    assert.strictEqual(hashByName(name.toLowerCase()), hash, name);
+    assert.strictEqual(hashByOid(oid), hash, oid);
+    assert.strictEqual(hashByOid(hash.oid), hash, oid);
+    if (openpgpId !== undefined) assert.strictEqual(hashByOpenpgpId(openpgpId), hash, name);
+  }
+  assert.strictEqual(hashByName('sha256'), sha256);
+  assert.strictEqual(hashByName('SHA512-256'), sha512_256);
+  assert.strictEqual(hashByName('RIPEMD-320'), ripemd320);
+  // Unknown
+  assert.strictEqual(hashByName('SHA-999'), undefined);
+  assert.strictEqual(hashByOid('1.2.3'), undefined);
+  for (const id of [0, 1, 4, 5, 6, 7, 13, 255]) assert.strictEqual(hashByOpenpgpId(id), undefined);
+});
+
+should('Registry: OID encoding', () => {
+  assert.deepStrictEqual(bytesToHex(oidToBytes('1.3.14.3.2.26')), '06052b0e03021a');
+  assert.deepStrictEqual(bytesToHex(oidToBytes('2.16.840.1.101.3.4.2.1')), bytesToHex(sha256.oid));
+  // Multi-byte arcs
+  assert.deepStrictEqual(bytesToHex(oidToBytes('1.2.840.113549.1.1.11')), '06092a864886f70d01010b');
+  assert.deepStrictEqual(bytesToHex(oidToBytes('2.999.3')), '0603883703');
+  for (const t of [
+    '',
+    '1',
+    '3.1',
+    '1.40',
+    '1.2.',
+    '1..2',
+    '1.2.a',
+    ' 1.2',
+    '1.2.99999999999999999',
+  ])
+    assert.throws(() => oidToBytes(t), `oid=${t}`);
+  for (const t of [1, null, undefined, {}, new Uint8Array()]) assert.throws(() => oidToBytes(t));
+});
+
+should('Registry: custom hash', () => {
+  const custom = wrapConstructor(() => keccak_256.create());
+  registerHash('Keccak-256', custom, {
+    oid: oidToBytes('1.2.3.4.5'),
+    openpgpId: 110,
+    aliases: ['K256'],
+  });
+  assert.strictEqual(hashByName('KECCAK-256'), custom);
+  assert.strictEqual(hashByName('k256'), custom);
+  assert.strictEqual(hashByOid('1.2.3.4.5'), custom);
+  assert.strictEqual(hashByOpenpgpId(110), custom);
+  // Without OID and OpenPGP ID
+  const custom2 = wrapConstructor(() => keccak_256.create());
+  registerHash('Keccak-256-2', custom2);
+  assert.strictEqual(hashByName('keccak-256-2'), custom2);
+  // Already registered: nothing is changed
+  assert.throws(() => registerHash('SHA-256', custom));
+  assert.throws(() => registerHash('Other', custom, { aliases: ['sha1'] }));
+  assert.throws(() => registerHash('Other', sha256));
+  assert.throws(() => registerHash('Other', custom, { oid: sha256.oid }));
+  assert.throws(() => registerHash('Other', custom, { openpgpId: 8 }));
+  assert.throws(() => registerHash('Other', custom, { aliases: ['Other'] }));
+  assert.strictEqual(hashByName('Other'), undefined);
+  assert.strictEqual(hashByName('SHA-256'), sha256);
+  assert.strictEqual(hashByOpenpgpId(8), sha256);
+});
+
+should('Registry: input validation', () => {
+  for (const t of ['', 1, null, undefined, {}, new Uint8Array()]) {
+    assert.throws(() => hashByName(t), `name=${t}`);
+    assert.throws(() => registerHash(t, sha256), `name=${t}`);
+  }
+  for (const t of TYPE_TEST.hash) assert.throws(() => registerHash('X', t), `hash=${t}`);
+  for (const t of [1, null, undefined, {}, 'abc']) assert.throws(() => hashByOid(t), `oid=${t}`);
+  for (const t of TYPE_TEST.int) {
+    assert.throws(() => hashByOpenpgpId(t), `id=${t}`);
+    if (t === undefined) continue;
+    assert.throws(() => registerHash('X', keccak_256, { openpgpId: t }), `id=${t}`);
+  }
+  assert.throws(() => registerHash('X', keccak_256, { openpgpId: 256 }));
+  assert.throws(() => registerHash('X', keccak_256, { aliases: 'Y' }));
+  assert.throws(() => registerHash('X', keccak_256, { oid: '1.40' }));
+  assert.strictEqual(hashByName('X'), undefined);
+});
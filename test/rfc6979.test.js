@@ -0,0 +1,248 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import { BigInteger } from '../esm/biginteger/index.js';
+import { rfc6979Nonce } from '../esm/rfc6979.js';
+import { sha1 } from '../esm/sha1.js';
+import { sha224, sha256 } from '../esm/sha256.js';
+import { sha384, sha512 } from '../esm/sha512.js';
+import { utf8ToBytes } from './utils.js';
+
+const big = (hex) => BigInteger.new('0x' + hex);
+const eql = (k, hex, msg) => assert.ok(k.equal(big(hex)), msg);
+const HASHES = { sha1, sha224, sha256, sha384, sha512 };
+
+// RFC 6979 appendix A.2: k for messages 'sample' and 'test'
+const VECTORS = [
+  {
+    name: 'DSA1024',
+    q: '996f967f6c8e388d9e28d01e205fba957a5698b1',
+    x: '411602cb19a6ccc34494d79d98ef1e7ed5af25f7',
+    k: {
+      sha1: [
+        '7bdb6b0ff756e1bb5d53583ef979082f9ad5bd5b',
+        '5c842df4f9e344ee09f056838b42c7a17f4a6433',
+      ],
+      sha224: [
+        '562097c06782d60c3037ba7be104774344687649',
+        '4598b8efc1a53bc8aecd58d1abbb0c0c71e67297',
+      ],
+      sha256: [
+        '519ba0546d0c39202a7d34d7dfa5e760b318bcfb',
+        '5a67592e8128e03a417b0484410fb72c0b630e1a',
+      ],
+      sha384: [
+        '95897cd7bbb944aa932dbc579c1c09eb6fcfc595',
+        '220156b761f6ca5e6c9f1b9cf9c24be25f98cd89',
+      ],
+      sha512: [
+        '9ece7ca27d0f5a4dd4e556c9df1d21d28104f8b',
+        '65d2c2eeb175e370f28c75bfcdc028d22c7dbe9c',
+      ],
+    },
+  },
+  {
+    name: 'DSA2048',
+    q: 'f2c3119374ce76c9356990b465374a17f23f9ed35089bd969f61c6dde9998c1f',
+    x: '69c7548c21d0dfea6b9a51c9ead4e27c33d3b3f180316e5bcab92c933f0e4dbc',
+    k: {
+      sha1: [
+        '888fa6f7738a41bdc9846466abdb8174c0338250ae50ce955ca16230f9cbd53e',
+        '6eea486f9d41a037b2c640bc5645694ff8ff4b98d066a25f76be641ccb24ba4f',
+      ],
+      sha224: [
+        'bc372967702082e1aa4fce892209f71ae4ad25a6dfd869334e6f153bd0c4d806',
+        '6bd4c05ed74719106223be33f2d95da6b3b541dad7bfbd7ac508213b6da6670',
+      ],
+      sha256: [
+        '8926a27c40484216f052f4427cfd5647338b7b3939bc6573af4333569d597c52',
+        '1d6ce6dda1c5d37307839cd03ab0a5cbb18e60d800937d67dfb4479aac8dead7',
+      ],
+      sha384: [
+        'c345d5ab3da0a5bcb7ec8f8fb7a7e96069e03b206371ef7d83e39068ec564920',
+        '206e61f73dbe1b2dc8be736b22b079e9dacd974db00eebbc5b64cad39cf9f91c',
+      ],
+      sha512: [
+        '5a12994431785485b3f5f067221517791b85a597b7a9436995c89ed0374668fc',
+        'aff1651e4cd6036d57aa8b2a05ccf1a9d5a40166340ecbbdc55be10b568aa0aa',
+      ],
+    },
+  },
+  {
+    name: 'P192',
+    q: 'ffffffffffffffffffffffff99def836146bc9b1b4d22831',
+    x: '6fab034934e4c0fc9ae67f5b5659a9d7d1fefd187ee09fd4',
+    k: {
+      sha1: [
+        '37d7ca00d2c7b0e5e412ac03bd44ba837fdd5b28cd3b0021',
+        'd9cf9c3d3297d3260773a1da7418db5537ab8dd93de7fa25',
+      ],
+      sha224: [
+        '4381526b3fc1e7128f202e194505592f01d5ff4c5af015d8',
+        'f5dc805f76ef851800700cce82e7b98d8911b7d510059fbe',
+      ],
+      sha256: [
+        '32b1b6d7d42a05cb449065727a84804fb1a3e34d8f261496',
+        '5c4ce89cf56d9e7c77c8585339b006b97b5f0680b4306c6c',
+      ],
+      sha384: [
+        '4730005c4fcb01834c063a7b6760096dbe284b8252ef4311',
+        '5afefb5d3393261b828db6c91fbc68c230727b030c975693',
+      ],
+      sha512: [
+        'a2ac7ab055e4f20692d49209544c203a7d1f2c0bfbc75db1',
+        '758753a5254759c7cfbad2e2d9b0792eee44136c9480527',
+      ],
+    },
+  },
+  {
+    name: 'P224',
+    q: 'ffffffffffffffffffffffffffff16a2e0b8f03e13dd29455c5c2a3d',
+    x: 'f220266e1105bfe3083e03ec7a3a654651f45e37167e88600bf257c1',
+    k: {
+      sha1: [
+        '7eefadd91110d8de6c2c470831387c50d3357f7f4d477054b8b426bc',
+        '2519178f82c3f0e4f87ed5883a4e114e5b7a6e374043d8efd329c253',
+      ],
+      sha224: [
+        'c1d1f2f10881088301880506805feb4825fe09acb6816c36991aa06d',
+        'df8b38d40dca3e077d0ac520bf56b6d565134d9b5f2eae0d34900524',
+      ],
+      sha256: [
+        'ad3029e0278f80643de33917ce6908c70a8ff50a411f06e41dedfcdc',
+        'ff86f57924da248d6e44e8154eb69f0ae2aebaee9931d0b5a969f904',
+      ],
+      sha384: [
+        '52b40f5a9d3d13040f494e83d3906c6079f29981035c7bd51e5cac40',
+        '7046742b839478c1b5bd31db2e862ad868e1a45c863585b5f22bdc2d',
+      ],
+      sha512: [
+        '9db103ffededf9cfdba05184f925400c1653b8501bab89cea0fbec14',
+        'e39c2aa4ea6be2306c72126d40ed77bf9739bb4d6ef2bbb1dcb6169d',
+      ],
+    },
+  },
+  {
+    name: 'P256',
+    q: 'ffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551',
+    x: 'c9afa9d845ba75166b5c215767b1d6934e50c3db36e89b127b8a622b120f6721',
+    k: {
+      sha1: [
+        '882905f1227fd620fbf2abf21244f0ba83d0dc3a9103dbbee43a1fb858109db4',
+        '8c9520267c55d6b980df741e56b4adee114d84fbfa2e62137954164028632a2e',
+      ],
+      sha224: [
+        '103f90ee9dc52e5e7fb5132b7033c63066d194321491862059967c715985d473',
+        '669f4426f2688b8be0db3a6bd1989bdaefff84b649eeb84f3dd26080f667faa7',
+      ],
+      sha256: [
+        'a6e3c57dd01abe90086538398355dd4c3b17aa873382b0f24d6129493d8aad60',
+        'd16b6ae827f17175e040871a1c7ec3500192c4c92677336ec2537acaee0008e0',
+      ],
+      sha384: [
+        '9f634b188cefd98e7ec88b1aa9852d734d0bc272f7d2a47decc6ebeb375aad4',
+        '16aeffa357260b04b1dd199693960740066c1a8f3e8edd79070aa914d361b3b8',
+      ],
+      sha512: [
+        '5fa81c63109badb88c1f367b47da606da28cad69aa22c4fe6ad7df73a7173aa5',
+        '6915d11632aca3c40d5d51c08daf9c555933819548784480e93499000d9f0b7f',
+      ],
+    },
+  },
+  {
+    name: 'P384',
+    q: 'ffffffffffffffffffffffffffffffffffffffffffffffffc7634d81f4372ddf581a0db248b0a77aecec196accc52973',
+    x: '6b9d3dad2e1b8c1c05b19875b6659f4de23c3b667bf297ba9aa47740787137d896d5724e4c70a825f872c9ea60d2edf5',
+    k: {
+      sha1: [
+        '4471ef7518bb2c7c20f62eae1c387ad0c5e8e470995db4acf694466e6ab096630f29e5938d25106c3c340045a2db01a7',
+        '66cc2c8f4d303fc962e5ff6a27bd79f84ec812ddae58cf5243b64a4ad8094d47ec3727f3a3c186c15054492e30698497',
+      ],
+      sha224: [
+        'a4e4d2f0e729eb786b31fc20ad5d849e304450e0ae8e3e341134a5c1afa03cab8083ee4e3c45b06a5899ea56c51b5879',
+        '18fa39db95aa5f561f30fa3591dc59c0fa3653a80daffa0b48d1a4c6dfcbff6e3d33be4dc5eb8886a8ecd093f2935726',
+      ],
+      sha256: [
+        '180ae9f9aec5438a44bc159a1fcb277c7be54fa20e7cf404b490650a8acc414e375572342863c899f9f2edf9747a9b60',
+        'cfac37587532347dc3389fdc98286bba8c73807285b184c83e62e26c401c0faa48dd070ba79921a3457abff2d630ad7',
+      ],
+      sha384: [
+        '94ed910d1a099dad3254e9242ae85abde4ba15168eaf0ca87a555fd56d10fbca2907e3e83ba95368623b8c4686915cf9',
+        '15ee46a5bf88773ed9123a5ab0807962d193719503c527b031b4c2d225092ada71f4a459bc0da98adb95837db8312ea',
+      ],
+      sha512: [
+        '92fc3c7183a883e24216d1141f1a8976c5b0dd797dfa597e3d7b32198bd35331a4e966532593a52980d0e3aaa5e10ec3',
+        '3780c4f67cb15518b6acae34c9f83568d2e12e47deab6c50a4e4ee5319d1e8ce0e2cc8a136036dc4b9c00e6888f66b6c',
+      ],
+    },
+  },
+  {
+    name: 'P521',
+    q: '1fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffa51868783bf2f966b7fcc0148f709a5d03bb5c9b8899c47aebb6fb71e91386409',
+    x: 'fad06daa62ba3b25d2fb40133da757205de67f5bb0018fee8c86e1b68c7e75caa896eb32f1f47c70855836a6d16fcc1466f6d8fbec67db89ec0c08b0e996b83538',
+    k: {
+      sha1: [
+        '89c071b419e1c2820962321787258469511958e80582e95d8378e0c2ccdb3cb42bede42f50e3fa3c71f5a76724281d31d9c89f0f91fc1be4918db1c03a5838d0f9',
+        'bb9f2bf4fe1038ccf4dabd7139a56f6fd8bb1386561bd3c6a4fc818b20df5ddba80795a947107a1ab9d12daa615b1ade4f7a9dc05e8e6311150f47f5c57ce8b222',
+      ],
+      sha224: [
+        '121415ec2cd7726330a61f7f3fa5de14be9436019c4db8cb4041f3b54cf31be0493ee3f427fb906393d895a19c9523f3a1d54bb8702bd4aa9c99dab2597b92113f3',
+        '40d09fcf3c8a5f62cf4fb223cbbb2b9937f6b0577c27020a99602c25a01136987e452988781484edbbcf1c47e554e7fc901bc3085e5206d9f619cff07e73d6f706',
+      ],
+      sha256: [
+        'edf38afcaaecab4383358b34d67c9f2216c8382aaea44a3dad5fdc9c32575761793fef24eb0fc276dfc4f6e3ec476752f043cf01415387470bcbd8678ed2c7e1a0',
+        '1de74955efaabc4c4f17f8e84d881d1310b5392d7700275f82f145c61e843841af09035bf7a6210f5a431a6a9e81c9323354a9e69135d44ebd2fcaa7731b909258',
+      ],
+      sha384: [
+        '1546a108bc23a15d6f21872f7ded661fa8431ddbd922d0dcdb77cc878c8553ffad064c95a920a750ac9137e527390d2d92f153e66196966ea554d9adfcb109c4211',
+        '1f1fc4a349a7da9a9e116bfdd055dc08e78252ff8e23ac276ac88b1770ae0b5dceb1ed14a4916b769a523ce1e90ba22846af11df8b300c38818f713dadd85de0c88',
+      ],
+      sha512: [
+        '1dae2ea071f8110dc26882d4d5eae0621a3256fc8847fb9022e2b7d28e6f10198b1574fdd03a9053c08a1854a168aa5a57470ec97dd5ce090124ef52a2f7ecbffd3',
+        '16200813020ec986863bedfc1b121f605c1215645018aea1a7b215a564de9eb1b38a67aa1128b80ce391c4fb71187654aaa3431027bfc7f395766ca988c964dc56d',
+      ],
+    },
+  },
+];
+
+should('RFC 6979: appendix A.2 vectors', () => {
+  for (const v of VECTORS) {
+    for (const name in HASHES) {
+      const hash = HASHES[name];
+      ['sample', 'test'].forEach((msg, i) => {
+        const k = rfc6979Nonce(hash, big(v.x), hash(utf8ToBytes(msg)), big(v.q));
+        eql(k, v.k[name][i], `${v.name} ${name} ${msg}`);
+      });
+    }
+  }
+});
+
+should('RFC 6979: rejected candidates', () => {
+  // q = 0x101: first four candidates for 'sample' are >= q
+  const q = BigInteger.new(0x101);
+  const x = BigInteger.new(2);
+  assert.deepStrictEqual(rfc6979Nonce(sha256, x, sha256('sample'), q).toNumber(), 0xb9);
+  assert.deepStrictEqual(rfc6979Nonce(sha256, x, sha256('test'), q).toNumber(), 0xee);
+  // q = 3: zero is rejected too
+  const k = rfc6979Nonce(sha256, BigInteger.new(1), sha256('sample'), BigInteger.new(3));
+  assert.deepStrictEqual(k.toNumber(), 2);
+});
+
+should('RFC 6979: extra entropy and message hash length', () => {
+  const { q, x } = VECTORS.find((v) => v.name === 'P256');
+  const extra = new Uint8Array(32).map((_, i) => i);
+  const k1 = rfc6979Nonce(sha256, big(x), sha256('sample'), big(q), extra);
+  eql(k1, 'e7eb519fdfdf2373299ac1322cff7b26e78d5041e24740b2e2ecd18d01b56ebf');
+  // Message hash is longer than q and HMAC output
+  const k2 = rfc6979Nonce(sha256, big(x), sha512('sample'), big(q));
+  eql(k2, '2e36acca59e3e2dceaaf18c05dc8a619338777df50d510ac9bf82846d1843aa7');
+});
+
+should('RFC 6979: errors', () => {
+  const q = BigInteger.new(0x101);
+  const h = sha256('sample');
+  for (const x of [0, 0x101, 0x102, -1])
+    assert.throws(() => rfc6979Nonce(sha256, BigInteger.new(x), h, q), `x=${x}`);
+  assert.throws(() => rfc6979Nonce(sha256, BigInteger.new(1), h, BigInteger.new(1)));
+  assert.throws(() => rfc6979Nonce(sha256, BigInteger.new(1), 'sample', q));
+  assert.throws(() => rfc6979Nonce({}, BigInteger.new(1), h, q));
+});
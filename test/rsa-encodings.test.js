@@ -0,0 +1,266 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import crypto from 'crypto';
+import { sha1 } from '../esm/sha1.js';
+import { sha224, sha256 } from '../esm/sha256.js';
+import { sha384, sha512, sha512_224, sha512_256 } from '../esm/sha512.js';
+import { sha3_224, sha3_256, sha3_384, sha3_512, keccak_256, shake256 } from '../esm/sha3.js';
+import { ripemd128, ripemd160, ripemd256 } from '../esm/ripemd160.js';
+import { blake2s } from '../esm/blake2s.js';
+import {
+  emsaPkcs1v15Encode,
+  mgf1,
+  emsaPssEncode,
+  emsaPssVerify,
+  emeOaepEncode,
+  emeOaepDecode,
+} from '../esm/rsa-encodings.js';
+import { wrapConstructor } from '../esm/utils.js';
+import { bytesToHex, concatBytes, TYPE_TEST } from './utils.js';
+
+// [hash, node name, DigestInfo prefix, OpenPGP ID]
+// DigestInfo prefixes are from RFC 8017 section 9.2, notes. RIPEMD-128 and RIPEMD-256
+// are not supported by Node.js, so their prefixes are encoded manually.
+const HASH_INFO = [
+  [sha1, 'sha1', '3021300906052b0e03021a05000414', 2],
+  [ripemd160, 'ripemd160', '3021300906052b2403020105000414', 3],
+  [ripemd128, undefined, '301d300906052b2403020205000410', undefined],
+  [ripemd256, undefined, '302d300906052b2403020305000420', undefined],
+  [sha256, 'sha256', '3031300d060960864801650304020105000420', 8],
+  [sha384, 'sha384', '3041300d060960864801650304020205000430', 9],
+  [sha512, 'sha512', '3051300d060960864801650304020305000440', 10],
+  [sha224, 'sha224', '302d300d06096086480165030402040500041c', 11],
+  [sha512_224, 'sha512-224', '302d300d06096086480165030402050500041c', undefined],
+  [sha512_256, 'sha512-256', '3031300d060960864801650304020605000420', undefined],
+  [sha3_224, 'sha3-224', '302d300d06096086480165030402070500041c', undefined],
+  [sha3_256, 'sha3-256', '3031300d060960864801650304020805000420', 12],
+  [sha3_384, 'sha3-384', '3041300d060960864801650304020905000430', undefined],
+  [sha3_512, 'sha3-512', '3051300d060960864801650304020a05000440', 14],
+];
+
+should('Hash OID, DigestInfo and OpenPGP ID', () => {
+  for (const [hash, name, digestInfo, openpgpId] of HASH_INFO) {
+    assert.deepStrictEqual(bytesToHex(hash.digestInfo), digestInfo, name);
+    // DigestInfo contains OID
+    assert.deepStrictEqual(bytesToHex(hash.oid), digestInfo.slice(8, 8 + hash.oid.length * 2));
+    assert.deepStrictEqual(hash.openpgpId, openpgpId, name);
+  }
+  // Hashes without OID
+  for (const hash of [keccak_256, blake2s]) {
+    assert.deepStrictEqual(hash.oid, undefined);
+    assert.deepStrictEqual(hash.digestInfo, undefined);
+    assert.deepStrictEqual(hash.openpgpId, undefined);
+  }
+});
+
+should('EMSA-PKCS1-v1_5: node.js', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+  const msg = new Uint8Array(100).map((_, i) => i);
+  for (const [hash, name] of HASH_INFO) {
+    if (!name) continue;
+    // Raw RSA of signature returns encoded message
+    const sig = crypto.sign(name, msg, privateKey);
+    const key = { key: publicKey, padding: crypto.constants.RSA_NO_PADDING };
+    const em = Uint8Array.from(crypto.publicDecrypt(key, sig));
+    assert.deepStrictEqual(emsaPkcs1v15Encode(hash, msg, 128), em, name);
+  }
+});
+
+should('EMSA-PKCS1-v1_5: structure', () => {
+  const em = emsaPkcs1v15Encode(sha256, 'abc', 62);
+  assert.deepStrictEqual(
+    bytesToHex(em),
+    '0001ffffffffffffffff00' +
+      '3031300d060960864801650304020105000420' +
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+  );
+  // At least 8 bytes of padding
+  assert.throws(() => emsaPkcs1v15Encode(sha256, 'abc', 61));
+  assert.deepStrictEqual(emsaPkcs1v15Encode(sha1, 'abc', 46).length, 46);
+  assert.throws(() => emsaPkcs1v15Encode(sha1, 'abc', 45));
+});
+
+should('EMSA-PKCS1-v1_5: input validation', () => {
+  assert.throws(() => emsaPkcs1v15Encode(keccak_256, 'abc', 128));
+  assert.throws(() => emsaPkcs1v15Encode(blake2s, 'abc', 128));
+  for (const t of TYPE_TEST.hash) assert.throws(() => emsaPkcs1v15Encode(t, 'abc', 128));
+  for (const t of TYPE_TEST.bytes) assert.throws(() => emsaPkcs1v15Encode(sha256, t, 128));
+  for (const t of TYPE_TEST.int) assert.throws(() => emsaPkcs1v15Encode(sha256, 'abc', t));
+});
+
+// Odd modulus length: encoded message of PSS is 1 byte shorter than modulus
+const RSA_KEYS = [1024, 1031].map((modulusLength) => ({
+  modulusLength,
+  ...crypto.generateKeyPairSync('rsa', { modulusLength }),
+}));
+const RAW = crypto.constants.RSA_NO_PADDING;
+const PSS_HASHES = [
+  [sha1, 'sha1'],
+  [sha256, 'sha256'],
+  [sha512_256, 'sha512-256'],
+  [sha3_256, 'sha3-256'],
+];
+
+should('MGF1', () => {
+  const seed = new Uint8Array([1, 2, 3]);
+  const counter = (i) => new Uint8Array([0, 0, 0, i]);
+  const exp = concatBytes(...[0, 1, 2].map((i) => sha256(concatBytes(seed, counter(i)))));
+  assert.deepStrictEqual(mgf1(sha256, seed, 96), exp);
+  for (const len of [0, 1, 31, 32, 33, 65])
+    assert.deepStrictEqual(mgf1(sha256, seed, len), exp.slice(0, len));
+  // Works with XOF, using default output length
+  assert.deepStrictEqual(mgf1(shake256, seed, 32), shake256(concatBytes(seed, counter(0))));
+  for (const t of TYPE_TEST.hash) assert.throws(() => mgf1(t, seed, 32));
+  for (const t of TYPE_TEST.bytes) assert.throws(() => mgf1(sha256, t, 32));
+  for (const t of TYPE_TEST.int) assert.throws(() => mgf1(sha256, seed, t));
+});
+
+should('EMSA-PSS: node.js', () => {
+  const msg = new Uint8Array(100).map((_, i) => i);
+  for (const { modulusLength, privateKey, publicKey } of RSA_KEYS) {
+    const emBits = modulusLength - 1;
+    for (const [hash, name] of PSS_HASHES) {
+      for (const saltLength of [0, 20, hash.outputLen]) {
+        const padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+        // Node.js signature: raw RSA returns encoded message with leading zero byte for odd length
+        const sig = crypto.sign(name, msg, { key: privateKey, padding, saltLength });
+        let em = Uint8Array.from(crypto.publicDecrypt({ key: publicKey, padding: RAW }, sig));
+        if (emBits % 8 === 0) em = em.subarray(1);
+        const opts = { saltLen: saltLength };
+        assert.deepStrictEqual(emsaPssVerify(hash, msg, em, emBits, opts), true);
+        assert.deepStrictEqual(emsaPssVerify(hash, msg.subarray(1), em, emBits, opts), false);
+        // Our encoding, verified by Node.js
+        const our = emsaPssEncode(hash, msg, emBits, opts);
+        const full = concatBytes(new Uint8Array(emBits % 8 === 0 ? 1 : 0), our);
+        const ourSig = crypto.privateDecrypt({ key: privateKey, padding: RAW }, full);
+        const valid = crypto.verify(name, msg, { key: publicKey, padding, saltLength }, ourSig);
+        assert.deepStrictEqual(valid, true, `${name} ${modulusLength} ${saltLength}`);
+      }
+    }
+  }
+});
+
+should('EMSA-PSS: encoding', () => {
+  const salt = new Uint8Array(32).fill(1);
+  const em = emsaPssEncode(sha256, 'abc', 1023, { salt });
+  assert.deepStrictEqual(em.length, 128);
+  assert.deepStrictEqual(em[127], 0xbc);
+  assert.deepStrictEqual(em[0] & 0x80, 0);
+  // Deterministic with fixed salt, random otherwise
+  assert.deepStrictEqual(emsaPssEncode(sha256, 'abc', 1023, { salt }), em);
+  assert.notDeepStrictEqual(emsaPssEncode(sha256, 'abc', 1023), em);
+  assert.deepStrictEqual(emsaPssVerify(sha256, 'abc', em, 1023), true);
+  // Salt length mismatch
+  assert.deepStrictEqual(emsaPssVerify(sha256, 'abc', em, 1023, { saltLen: 20 }), false);
+  assert.deepStrictEqual(emsaPssVerify(sha256, 'abc', em, 1023, { saltLen: 33 }), false);
+  for (let i = 0; i < em.length; i++) {
+    const bad = em.slice();
+    bad[i] ^= 1;
+    assert.deepStrictEqual(emsaPssVerify(sha256, 'abc', bad, 1023), false, `pos=${i}`);
+  }
+  assert.deepStrictEqual(emsaPssVerify(sha256, 'abc', em.subarray(1), 1023), false);
+  // Smallest emBits: hLen + sLen + 2 bytes
+  assert.deepStrictEqual(emsaPssEncode(sha256, 'abc', 66 * 8, { salt }).length, 66);
+  assert.throws(() => emsaPssEncode(sha256, 'abc', 66 * 8 - 8, { salt }));
+  assert.throws(() => emsaPssEncode(sha256, 'abc', 1023, { salt, saltLen: 20 }));
+});
+
+should('EMSA-PSS: SHAKE as MGF', () => {
+  // RFC 8702: SHAKE256 with 512-bit output as hash, SHAKE256 itself as MGF
+  const hash = wrapConstructor(() => shake256.create({ dkLen: 64 }));
+  assert.deepStrictEqual(hash.outputLen, 64);
+  const mgf = (seed, len) => shake256(seed, { dkLen: len });
+  const em = emsaPssEncode(hash, 'abc', 2047, { mgf });
+  assert.deepStrictEqual(emsaPssVerify(hash, 'abc', em, 2047, { mgf }), true);
+  assert.deepStrictEqual(emsaPssVerify(hash, 'abc', em, 2047), false);
+  // XOF with default output length
+  const em2 = emsaPssEncode(shake256, 'abc', 2047, { mgf });
+  assert.deepStrictEqual(emsaPssVerify(shake256, 'abc', em2, 2047, { mgf }), true);
+  // MGF output should have requested length
+  assert.throws(() => emsaPssEncode(sha256, 'abc', 2047, { mgf: () => new Uint8Array(10) }));
+  assert.throws(() => emsaPssEncode(sha256, 'abc', 2047, { mgf: 1 }));
+});
+
+should('EME-OAEP: node.js', () => {
+  const msg = new Uint8Array(20).map((_, i) => i);
+  for (const { modulusLength, privateKey, publicKey } of RSA_KEYS) {
+    const k = Math.ceil(modulusLength / 8);
+    for (const [hash, name] of PSS_HASHES) {
+      for (const label of [undefined, new Uint8Array([1, 2, 3])]) {
+        const padding = crypto.constants.RSA_PKCS1_OAEP_PADDING;
+        const opts = { key: publicKey, padding, oaepHash: name, oaepLabel: label };
+        const ct = crypto.publicEncrypt(opts, msg);
+        const em = Uint8Array.from(crypto.privateDecrypt({ key: privateKey, padding: RAW }, ct));
+        assert.deepStrictEqual(emeOaepDecode(hash, em, { label }), msg);
+        assert.throws(() => emeOaepDecode(hash, em, { label: 'other' }));
+        // Our encoding, decrypted by Node.js
+        const our = emeOaepEncode(hash, msg, k, { label });
+        const ourCt = crypto.publicEncrypt({ key: publicKey, padding: RAW }, our);
+        const pt = crypto.privateDecrypt({ ...opts, key: privateKey }, ourCt);
+        assert.deepStrictEqual(Uint8Array.from(pt), msg, `${name} ${modulusLength}`);
+      }
+    }
+  }
+});
+
+should('EME-OAEP: encoding', () => {
+  const seed = new Uint8Array(32).fill(2);
+  const em = emeOaepEncode(sha256, 'abc', 128, { seed, label: 'label' });
+  assert.deepStrictEqual(em[0], 0);
+  assert.deepStrictEqual(em.length, 128);
+  assert.deepStrictEqual(emeOaepEncode(sha256, 'abc', 128, { seed, label: 'label' }), em);
+  assert.notDeepStrictEqual(emeOaepEncode(sha256, 'abc', 128, { label: 'label' }), em);
+  assert.deepStrictEqual(
+    emeOaepDecode(sha256, em, { label: 'label' }),
+    new Uint8Array([97, 98, 99])
+  );
+  // Same error for every modification
+  for (let i = 0; i < em.length; i++) {
+    const bad = em.slice();
+    bad[i] ^= 1;
+    assert.throws(() => emeOaepDecode(sha256, bad, { label: 'label' }), /OAEP: decryption error/);
+  }
+  // Longest and empty messages
+  const max = new Uint8Array(128 - 2 * 32 - 2).fill(3);
+  assert.deepStrictEqual(emeOaepDecode(sha256, emeOaepEncode(sha256, max, 128)), max);
+  assert.throws(() => emeOaepEncode(sha256, new Uint8Array(max.length + 1), 128));
+  const empty = emeOaepEncode(sha256, new Uint8Array(), 128);
+  assert.deepStrictEqual(emeOaepDecode(sha256, empty), new Uint8Array());
+  assert.throws(() => emeOaepDecode(sha256, em.subarray(0, 65)));
+  // Custom MGF
+  const mgf = (seed, len) => shake256(seed, { dkLen: len });
+  const x = emeOaepEncode(sha256, 'abc', 128, { mgf });
+  assert.deepStrictEqual(emeOaepDecode(sha256, x, { mgf }), new Uint8Array([97, 98, 99]));
+  assert.throws(() => emeOaepDecode(sha256, x));
+});
+
+should('PSS & OAEP: input validation', () => {
+  const em = emsaPssEncode(sha256, 'abc', 1023);
+  for (const t of TYPE_TEST.hash) {
+    assert.throws(() => emsaPssEncode(t, 'abc', 1023));
+    assert.throws(() => emsaPssVerify(t, 'abc', em, 1023));
+    assert.throws(() => emeOaepEncode(t, 'abc', 128));
+    assert.throws(() => emeOaepDecode(t, em));
+  }
+  for (const t of TYPE_TEST.int) {
+    assert.throws(() => emsaPssEncode(sha256, 'abc', t), `emBits=${t}`);
+    assert.throws(() => emsaPssVerify(sha256, 'abc', em, t), `emBits=${t}`);
+    assert.throws(() => emeOaepEncode(sha256, 'abc', t), `k=${t}`);
+    if (t === undefined) continue;
+    assert.throws(() => emsaPssEncode(sha256, 'abc', 1023, { saltLen: t }), `saltLen=${t}`);
+  }
+  for (const t of TYPE_TEST.bytes) {
+    assert.throws(() => emsaPssEncode(sha256, t, 1023));
+    assert.throws(() => emsaPssVerify(sha256, 'abc', t, 1023));
+    assert.throws(() => emeOaepEncode(sha256, t, 128));
+    assert.throws(() => emeOaepDecode(sha256, t));
+    if (t === undefined) continue;
+    assert.throws(() => emsaPssEncode(sha256, 'abc', 1023, { salt: t }), `salt=${t}`);
+    assert.throws(() => emeOaepEncode(sha256, 'abc', 128, { seed: t }), `seed=${t}`);
+  }
+  for (const t of ['', 0, 1, 'abc', null, () => {}]) {
+    assert.throws(() => emsaPssEncode(sha256, 'abc', 1023, t), `opts=${t}`);
+    assert.throws(() => emeOaepEncode(sha256, 'abc', 128, t), `opts=${t}`);
+  }
+  assert.throws(() => emeOaepEncode(sha256, 'abc', 128, { seed: new Uint8Array(31) }));
+});
@@ -0,0 +1,113 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import { sha1 } from '../esm/sha1.js';
+import { sha256 } from '../esm/sha256.js';
+import { sha512 } from '../esm/sha512.js';
+import { decodeCount, s2kSimple, s2kSalted, s2kIterated, s2kIteratedAsync } from '../esm/s2k.js';
+import { hexToBytes, bytesToHex, TYPE_TEST } from './utils.js';
+
+const HASHES = { sha1, sha256, sha512 };
+
+// Generated with python hashlib. `c` is the coded count octet (undefined for salted S2K)
+// prettier-ignore
+const VECTORS = [
+  { hash: 'sha1', pw: 'password', salt: '0102030405060708', dkLen: 32, exp: '91ddd4cce4618e7da014cbc81825fa43e5eca62f746e836cef2dbc1e5a28cee3' },
+  { hash: 'sha256', pw: 'password', salt: '0102030405060708', dkLen: 32, exp: '401cee42f1e78e4ce02e01102870bd121c252c9f617db439352f749ceecaadfc' },
+  { hash: 'sha1', pw: 'y'.repeat(5000), salt: '0000000000000000', dkLen: 32, exp: '9440956b12641d1748d15acde6b6cecb356f9eb70ec3c252e063658e16060ccf' },
+  { hash: 'sha1', pw: 'foo', salt: '0102030405060708', c: 0, dkLen: 24, exp: '86412dcf9e4d16fe90cadf6ac9c30deb7e0001edb8142a45' },
+  { hash: 'sha256', pw: 'foo', salt: '0102030405060708', c: 0, dkLen: 24, exp: '8d18e7c919171922d24f106974c148314d6695d1c30ec798' },
+  { hash: 'sha1', pw: 'password', salt: 'a8428e2b57f1b1f9', c: 96, dkLen: 32, exp: 'da1c7a972d68ec12f22951de7298f6ebe0ebf61728281c787ee023bbf72b06c8' },
+  { hash: 'sha256', pw: 'password', salt: 'a8428e2b57f1b1f9', c: 96, dkLen: 32, exp: '43b21181fca8256c36c847fed9606382e6f118893ac5006ceaf1f72f9abc6844' },
+  { hash: 'sha1', pw: 'hello world', salt: '0000000000000000', c: 101, dkLen: 80, exp: 'd035984d3ec0dd60d33ad1089676b6997d8e1094052458340c1cc5ba00a7504a0833edd53faffae0b100c603e43088d365ffe0d3456ea1e19eb8d86e1248db197b2892a0c2c6a878cf14348aad57303a' },
+  { hash: 'sha256', pw: 'hello world', salt: '0000000000000000', c: 101, dkLen: 80, exp: '170ddacd94f596a802cbcf4dce1f42a396a13fe7b19c58407322d1a1e11c71550e4b67623ae666efdab3b8187ed1bca8fd52aa28e7c17da50e1a88bbc69ab1685837be972f8f6463e51e1f3cdcdaa531' },
+  { hash: 'sha512', pw: 'hello world', salt: '0000000000000000', c: 101, dkLen: 80, exp: 'ee42d1ec1ab183aee76a9d7044bbc35cd9eb9e6ee08b472c9afd2c2e3a3b354567adbcc20a92401ebcb1bd46285317cbda9f1883b0134d36948b23231817cca8531284f1d76cbf636815ce83751e6d96' },
+  { hash: 'sha256', pw: '', salt: '0000000000000000', c: 16, dkLen: 16, exp: 'e5a00aa9991ac8a5ee3109844d84a555' },
+  // Count is less than salt+password length: data is hashed once
+  { hash: 'sha256', pw: 'x'.repeat(300), salt: '0000000000000000', c: 0, dkLen: 32, exp: 'f0f904c284e3162d0d205ce152bd6c58a3d174648c710e410ee8cf7d7ef90b50' },
+  { hash: 'sha256', pw: 'z'.repeat(5000), salt: '0000000000000000', c: 1, dkLen: 40, exp: '3a9aadd9bedd74a5ab1d9d1907ca00f473a4b8392ad77edca2899eb5169e5eceba084c0e1b1ce71d' },
+];
+
+should('S2K: decodeCount', () => {
+  assert.deepStrictEqual(decodeCount(0), 1024);
+  assert.deepStrictEqual(decodeCount(96), 65536);
+  assert.deepStrictEqual(decodeCount(238), 31457280);
+  assert.deepStrictEqual(decodeCount(255), 65011712);
+  assert.throws(() => decodeCount(256));
+  for (const t of TYPE_TEST.int) assert.throws(() => decodeCount(t), `decodeCount(${t})`);
+});
+
+should('S2K: simple', () => {
+  // Simple S2K is just a hash of password
+  assert.deepStrictEqual(s2kSimple(sha256, 'password'), sha256('password'));
+  assert.deepStrictEqual(s2kSimple(sha1, 'password', { dkLen: 16 }), sha1('password').slice(0, 16));
+  assert.deepStrictEqual(
+    bytesToHex(s2kSimple(sha1, 'password', { dkLen: 32 })),
+    // sha1('password') || sha1(0x00 || 'password')
+    bytesToHex(sha1('password')) + bytesToHex(sha1('\x00password')).slice(0, 24)
+  );
+});
+
+should('S2K: vectors', async () => {
+  for (const v of VECTORS) {
+    const hash = HASHES[v.hash];
+    const salt = hexToBytes(v.salt);
+    const msg = `${v.hash}(c=${v.c}, dkLen=${v.dkLen})`;
+    if (v.c === undefined) {
+      assert.deepStrictEqual(bytesToHex(s2kSalted(hash, v.pw, salt, { dkLen: v.dkLen })), v.exp);
+      continue;
+    }
+    const opts = { c: v.c, dkLen: v.dkLen };
+    assert.deepStrictEqual(bytesToHex(s2kIterated(hash, v.pw, salt, opts)), v.exp, msg);
+    assert.deepStrictEqual(bytesToHex(await s2kIteratedAsync(hash, v.pw, salt, opts)), v.exp, msg);
+  }
+});
+
+should('S2K: maximum count', async () => {
+  const salt = Uint8Array.from([1, 2, 3, 4, 5, 6, 7, 8]);
+  const exp = '776c7580c2f01134756dd623d405ad6eae2bb57edd04b266b60892a31c6a6c1a';
+  assert.deepStrictEqual(bytesToHex(s2kIterated(sha256, 'password', salt, { c: 255 })), exp);
+  let ticks = 0;
+  let done = false;
+  const counter = (async () => {
+    while (!done) {
+      ticks++;
+      await null;
+    }
+  })();
+  const res = await s2kIteratedAsync(sha256, 'password', salt, { c: 255, asyncTick: 0 });
+  done = true;
+  await counter;
+  assert.deepStrictEqual(bytesToHex(res), exp);
+  assert.ok(ticks > 0);
+});
+
+should('S2K: input validation', async () => {
+  const salt = new Uint8Array(8);
+  assert.throws(() => s2kIterated(sha256, 'password', salt, { c: 256 }));
+  assert.throws(() => s2kIterated(sha256, 'password', salt, {}));
+  for (const t of TYPE_TEST.int) {
+    for (const k of ['c', 'dkLen', 'asyncTick']) {
+      const opts = { c: 0, [k]: t };
+      assert.throws(() => s2kIterated(sha256, 'password', salt, opts), `${k}=${t}`);
+      await assert.rejects(() => s2kIteratedAsync(sha256, 'password', salt, opts), `${k}=${t}`);
+    }
+    assert.throws(() => s2kSalted(sha256, 'password', salt, { dkLen: t }), `dkLen=${t}`);
+  }
+  for (const t of TYPE_TEST.bytes) {
+    assert.throws(() => s2kSimple(sha256, t), `password=${t}`);
+    assert.throws(() => s2kSalted(sha256, 'password', t), `salt=${t}`);
+    assert.throws(() => s2kIterated(sha256, 'password', t, { c: 0 }), `salt=${t}`);
+  }
+  // Salt is exactly 8 bytes
+  for (const len of [0, 1, 7, 9, 16]) {
+    const t = new Uint8Array(len);
+    assert.throws(() => s2kSalted(sha256, 'password', t), `salt.length=${len}`);
+    assert.throws(() => s2kIterated(sha256, 'password', t, { c: 0 }), `salt.length=${len}`);
+    await assert.rejects(() => s2kIteratedAsync(sha256, 'password', t, { c: 0 }));
+  }
+  for (const t of TYPE_TEST.hash) {
+    assert.throws(() => s2kSimple(t, 'password'), `hash=${t}`);
+    assert.throws(() => s2kIterated(t, 'password', salt, { c: 0 }), `hash=${t}`);
+  }
+  for (const t of TYPE_TEST.opts) assert.throws(() => s2kIterated(sha256, 'password', salt, t));
+});
@@ -0,0 +1,97 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import { sha1 } from '../esm/sha1.js';
+import { sha1dc, SHA1DC } from '../esm/sha1dc.js';
+import { hexToBytes, bytesToHex, concatBytes, TYPE_TEST } from './utils.js';
+
+// SHAttered (https://shattered.io): first 320 bytes of shattered-1.pdf and shattered-2.pdf.
+// 192 bytes of common prefix, then two blocks of near-collision attack.
+const SHATTERED_PREFIX = Uint8Array.from(
+  '%PDF-1.3\n%\xe2\xe3\xcf\xd3\n\n\n1 0 obj\n<</Width 2 0 R/Height 3 0 R/Type 4 0 R' +
+    '/Subtype 5 0 R/Filter 6 0 R/ColorSpace 7 0 R/Length 8 0 R/BitsPerComponent 8>>\nstream\n' +
+    '\xff\xd8\xff\xfe\x00\x24SHA-1 is dead!!!!!\x85/\xec\x09\x239u\x9c9\xb1\xa1\xc6<L\x97\xe1\xff\xfe\x01',
+  (c) => c.charCodeAt(0)
+);
+const SHATTERED = [
+  '7f46dc93a6b67e013b029aaa1db2560b45ca67d688c7f84b8c4c791fe02b3df614f86db1690901c56b45c1530afedfb7' +
+    '6038e972722fe7ad728f0e4904e046c230570fe9d41398abe12ef5bc942be33542a4802d98b5d70f2a332ec37fac3514' +
+    'e74ddc0f2cc1a874cd0c78305a21566461309789606bd0bf3f98cda8044629a1',
+  '7346dc9166b67e118f029ab621b2560ff9ca67cca8c7f85ba84c79030c2b3de218f86db3a90901d5df45c14f26fedfb3' +
+    'dc38e96ac22fe7bd728f0e45bce046d23c570feb141398bb552ef5a0a82be331fea48037b8b5d71f0e332edf93ac3500' +
+    'eb4ddc0decc1a864790c782c76215660dd309791d06bd0af3f98cda4bc4629b1',
+].map((hex) => concatBytes(SHATTERED_PREFIX, hexToBytes(hex)));
+const SHATTERED_SHA1 = 'f92d74e3874587aaf443d1db961d4e26dde13e9c';
+
+should('sha1dc: SHAttered is a sha1 collision', () => {
+  for (const msg of SHATTERED) assert.deepStrictEqual(bytesToHex(sha1(msg)), SHATTERED_SHA1);
+  assert.notDeepStrictEqual(SHATTERED[0], SHATTERED[1]);
+});
+
+should('sha1dc: detects SHAttered collision', () => {
+  for (const msg of SHATTERED) {
+    const h = sha1dc.create().update(msg);
+    assert.deepStrictEqual(bytesToHex(h.digest()), SHATTERED_SHA1);
+    assert.deepStrictEqual(h.collision, true);
+    // Byte-by-byte updates
+    const p = sha1dc.create();
+    for (let i = 0; i < msg.length; i++) p.update(msg.subarray(i, i + 1));
+    assert.deepStrictEqual(p.collision, true);
+    // Collision is still detected with suffix
+    const s = sha1dc.create().update(msg).update(new Uint8Array(1000));
+    assert.deepStrictEqual(s.collision, true);
+    s.digest();
+    assert.deepStrictEqual(s.collision, true);
+    // First block is near-collision: detected only on second block, which completes collision
+    const first = sha1dc.create().update(msg.subarray(0, 256));
+    assert.deepStrictEqual(first.collision, false);
+    assert.deepStrictEqual(first.update(msg.subarray(256)).collision, true);
+    // Prefix only
+    assert.deepStrictEqual(sha1dc.create().update(SHATTERED_PREFIX).collision, false);
+  }
+});
+
+should('sha1dc: safe hash', () => {
+  const [h1, h2] = SHATTERED.map((msg) => sha1dc(msg, { safeHash: true }));
+  assert.notDeepStrictEqual(bytesToHex(h1), SHATTERED_SHA1);
+  assert.notDeepStrictEqual(bytesToHex(h2), SHATTERED_SHA1);
+  assert.notDeepStrictEqual(h1, h2);
+  // Without collision, safe hash is same as sha1
+  for (const msg of [SHATTERED_PREFIX, new Uint8Array(1000), 'abc'])
+    assert.deepStrictEqual(sha1dc(msg, { safeHash: true }), sha1(msg));
+});
+
+should('sha1dc: no false positives', () => {
+  for (let len = 0; len < 300; len += 7) {
+    const msg = new Uint8Array(len).map((_, i) => (i * 31 + len) & 0xff);
+    const h = sha1dc.create().update(msg);
+    assert.deepStrictEqual(h.digest(), sha1(msg));
+    assert.deepStrictEqual(h.collision, false);
+  }
+});
+
+should('sha1dc: clone', () => {
+  const h = new SHA1DC({ safeHash: true }).update(SHATTERED[0].subarray(0, 320));
+  const c = h.clone();
+  assert.deepStrictEqual(c.collision, true);
+  assert.deepStrictEqual(c.safeHash, true);
+  const rest = new Uint8Array(100);
+  assert.deepStrictEqual(c.update(rest).digest(), h.update(rest).digest());
+  const clean = new SHA1DC().clone();
+  assert.deepStrictEqual(clean.collision, false);
+  assert.deepStrictEqual(clean.safeHash, false);
+  // Clone into existing instance with different options
+  const safe = sha1dc.create({ safeHash: true }).update(SHATTERED[0]);
+  const into = safe._cloneInto(sha1dc.create());
+  assert.deepStrictEqual(into.safeHash, true);
+  assert.deepStrictEqual(into.collision, true);
+  assert.deepStrictEqual(into.digest(), sha1dc(SHATTERED[0], { safeHash: true }));
+  const plain = new SHA1DC().update(SHATTERED[1])._cloneInto(sha1dc.create({ safeHash: true }));
+  assert.deepStrictEqual(plain.safeHash, false);
+  assert.deepStrictEqual(bytesToHex(plain.digest()), SHATTERED_SHA1);
+});
+
+should('sha1dc: input validation', () => {
+  for (const t of TYPE_TEST.boolean)
+    assert.throws(() => sha1dc('abc', { safeHash: t }), `safeHash=${t}`);
+  for (const t of ['', 0, 1, 'abc', null, () => {}]) assert.throws(() => sha1dc.create(t));
+});
@@ -0,0 +1,44 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import { sha512_224, sha512_256, sha512_t } from '../esm/sha512.js';
+import { bytesToHex } from './utils.js';
+
+should('sha512_t: derived IV matches FIPS 180-4 constants', () => {
+  for (const [t, hash] of [
+    [224, sha512_224],
+    [256, sha512_256],
+  ]) {
+    const h = sha512_t(t);
+    assert.strictEqual(h.outputLen, t / 8);
+    assert.strictEqual(h.blockLen, 128);
+    for (const msg of ['', 'abc', 'a'.repeat(300)]) assert.deepStrictEqual(h(msg), hash(msg));
+  }
+});
+
+should('sha512_t: cache', () => {
+  assert.strictEqual(sha512_t(200), sha512_t(200));
+  assert.notStrictEqual(sha512_t(200), sha512_t(208));
+});
+
+should('sha512_t: output not aligned to words', () => {
+  const exp = '2c199c1b8e934d616332dcfea4d50a1ddbbb8eb25be46bdc9d';
+  assert.deepStrictEqual(bytesToHex(sha512_t(200)('abc')), exp);
+  // Exact output buffer
+  const out = new Uint8Array(25);
+  sha512_t(200).create().update('abc').digestInto(out);
+  assert.deepStrictEqual(bytesToHex(out), exp);
+  assert.deepStrictEqual(bytesToHex(sha512_t(8)('abc')), 'c5');
+});
+
+should('sha512_t: clone', () => {
+  const h = sha512_t(200).create().update('ab');
+  assert.deepStrictEqual(h.clone().update('c').digest(), sha512_t(200)('abc'));
+  const other = sha512_t(200).create().update('xyz');
+  h._cloneInto(other);
+  assert.deepStrictEqual(other.update('c').digest(), sha512_t(200)('abc'));
+});
+
+should('sha512_t: wrong t', () => {
+  for (const t of [0, 4, 100, 384, 512, 1024, -8, 1.5, '256', null, undefined])
+    assert.throws(() => sha512_t(t), `t=${t}`);
+});
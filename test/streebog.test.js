@@ -0,0 +1,78 @@
+import assert from 'assert';
+import { should } from 'micro-should';
+import { streebog256, streebog512 } from '../esm/streebog.js';
+import { hmac } from '../esm/hmac.js';
+import { bytesToHex, hexToBytes } from './utils.js';
+
+// RFC 6986 section 10: messages are written as big-endian numbers there, so bytes are reversed
+const M1 = hexToBytes(
+  '323130393837363534333231303938373635343332313039383736353433323130393837363534333231303938373635343332313039383736353433323130'
+).reverse();
+const M2 = hexToBytes(
+  'fbe2e5f0eee3c820fbeafaebef20fffbf0e1e0f0f520e0ed20e8ece0ebe5f0f2f120fff0eeec20f120faf2fee5e2202ce8f6f3ede220e8e6eee1e8f0f2d1202ce8f0f2e5e220e5d1'
+).reverse();
+
+should('Streebog: RFC 6986 vectors', () => {
+  assert.deepStrictEqual(
+    bytesToHex(streebog512(M1)),
+    '1b54d01a4af5b9d5cc3d86d68d285462b19abc2475222f35c085122be4ba1ffa00ad30f8767b3a82384c6574f024c311e2a481332b08ef7f41797891c1646f48'
+  );
+  assert.deepStrictEqual(
+    bytesToHex(streebog256(M1)),
+    '9d151eefd8590b89daa6ba6cb74af9275dd051026bb149a452fd84e5e57b5500'
+  );
+  assert.deepStrictEqual(
+    bytesToHex(streebog512(M2)),
+    '1e88e62226bfca6f9994f1f2d51569e0daf8475a3b0fe61a5300eee46d961376035fe83549ada2b8620fcd7c496ce5b33f0cb9dddc2b6460143b03dabac9fb28'
+  );
+  assert.deepStrictEqual(
+    bytesToHex(streebog256(M2)),
+    '9dd2fe4e90409e5da87f53976d7405b0c0cac628fc669a741d50063c557e8f50'
+  );
+});
+
+should('Streebog: carry in sum of blocks', () => {
+  // Generated with libgcrypt
+  const msg = new Uint8Array(128).fill(0xff);
+  assert.deepStrictEqual(
+    bytesToHex(streebog256(msg)),
+    '4749bfc37b7ddad7c745dc2da1fb22619f70154c064ae3b6cb34bc2b2c0827c1'
+  );
+  assert.deepStrictEqual(
+    bytesToHex(streebog512(msg)),
+    '90a161d12ad309498d3fe5d48202d8a4e9c406d6a264aeab258ac5ecc37a7962aaf9587a5abb09b6bb81ec4b3752a3ff5a838ef175be5772056bc5fe54fcfc7e'
+  );
+});
+
+should('Streebog: HMAC (R 50.1.113-2016)', () => {
+  const key = hexToBytes('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+  const data = hexToBytes('0126bdb87800af214341456563780100');
+  assert.deepStrictEqual(
+    bytesToHex(hmac(streebog256, key, data)),
+    'a1aa5f7de402d7b3d323f2991c8d4534013137010a83754fd0af6d7cd4922ed9'
+  );
+  assert.deepStrictEqual(
+    bytesToHex(hmac(streebog512, key, data)),
+    'a59bab22ecae19c65fbde6e5f4e9f5d8549d31f037f9df9b905500e171923a773d5f1530f2ed7e964cb2eedc29e9ad2f3afe93b2814f79f5000ffc0366c251e6'
+  );
+});
+
+should('Streebog: streaming', () => {
+  for (const hash of [streebog256, streebog512]) {
+    for (const chunk of [1, 7, 63, 64, 65]) {
+      const h = hash.create();
+      for (let i = 0; i < M2.length; i += chunk) h.update(M2.subarray(i, i + chunk));
+      assert.deepStrictEqual(h.digest(), hash(M2), `chunk=${chunk}`);
+    }
+  }
+});
+
+should('Streebog: clone into instance with other output length', () => {
+  const h = streebog256.create().update(M1);
+  const other = streebog512.create().update('abc');
+  h._cloneInto(other);
+  assert.deepStrictEqual(
+    other.update(M2).digest(),
+    streebog256.create().update(M1).update(M2).digest()
+  );
+});